@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+// Admin API keys come from ADMIN_API_KEYS, a JSON array such as:
+//   [{"name":"ops","key":"<secret>","scopes":["maintenance","diagnostics"]},
+//    {"name":"owner","key":"<secret>","scopes":["*"]}]
+// A key with the "*" scope may call every admin endpoint.
+function loadAdminKeys() {
+  if (!process.env.ADMIN_API_KEYS) {
+    console.warn('⚠️ ADMIN_API_KEYS not found in environment variables');
+    console.log('🔒 Admin endpoints will reject all requests');
+    return [];
+  }
+
+  try {
+    const entries = JSON.parse(process.env.ADMIN_API_KEYS);
+    if (!Array.isArray(entries)) {
+      throw new Error('ADMIN_API_KEYS must be a JSON array');
+    }
+
+    return entries.map((entry, index) => {
+      if (!entry.key || !Array.isArray(entry.scopes)) {
+        throw new Error(`Admin key #${index + 1} needs a "key" and a "scopes" array`);
+      }
+      return {
+        name: entry.name || `key-${index + 1}`,
+        keyHash: hashKey(entry.key),
+        scopes: entry.scopes,
+      };
+    });
+  } catch (error) {
+    console.warn('⚠️ ADMIN_API_KEYS could not be parsed:', error.message);
+    console.log('🔒 Admin endpoints will reject all requests');
+    return [];
+  }
+}
+
+// Compare fixed-length hashes so key checks run in constant time
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+const adminKeys = loadAdminKeys();
+
+// Accept either "Authorization: Bearer <key>" or "X-Admin-Key: <key>"
+function extractAdminKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-admin-key') || null;
+}
+
+function findAdminKey(presentedKey) {
+  const presentedHash = hashKey(presentedKey);
+  return adminKeys.find(adminKey => crypto.timingSafeEqual(adminKey.keyHash, presentedHash)) || null;
+}
+
+// Middleware factory: requireAdmin('maintenance') only lets through keys holding that scope.
+// Missing or unknown keys get 401, known keys without the scope get 403.
+function requireAdmin(scope) {
+  return (req, res, next) => {
+    const presentedKey = extractAdminKey(req);
+    const adminKey = presentedKey ? findAdminKey(presentedKey) : null;
+
+    if (!adminKey) {
+      return res.status(401).json({ error: 'Admin authentication required' });
+    }
+
+    if (!adminKey.scopes.includes('*') && !adminKey.scopes.includes(scope)) {
+      console.warn(`🔒 Admin key "${adminKey.name}" denied ${req.method} ${req.path} (needs ${scope})`);
+      return res.status(403).json({ error: 'Insufficient admin scope', required_scope: scope });
+    }
+
+    req.admin = { name: adminKey.name, scopes: adminKey.scopes };
+    next();
+  };
+}
+
+module.exports = {
+  requireAdmin,
+};
@@ -0,0 +1,38 @@
+const pool = require('./db');
+
+// Device block lists. Blocking is one-way: the blocked device is not told and can still
+// see the blocker's requests.
+
+async function listBlocks(deviceId) {
+  const result = await pool.query(
+    'SELECT blocked_device_id, created_at FROM device_blocks WHERE device_id = $1 ORDER BY created_at DESC',
+    [deviceId]
+  );
+  return result.rows;
+}
+
+// Returns the block row; blocking the same device twice is a no-op
+async function blockDevice(deviceId, blockedDeviceId) {
+  const result = await pool.query(`
+    INSERT INTO device_blocks (device_id, blocked_device_id)
+    VALUES ($1, $2)
+    ON CONFLICT (device_id, blocked_device_id) DO UPDATE SET device_id = EXCLUDED.device_id
+    RETURNING blocked_device_id, created_at
+  `, [deviceId, blockedDeviceId]);
+  return result.rows[0];
+}
+
+// Returns false when there was no such block
+async function unblockDevice(deviceId, blockedDeviceId) {
+  const result = await pool.query(
+    'DELETE FROM device_blocks WHERE device_id = $1 AND blocked_device_id = $2',
+    [deviceId, blockedDeviceId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  blockDevice,
+  listBlocks,
+  unblockDevice,
+};
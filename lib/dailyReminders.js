@@ -0,0 +1,71 @@
+const pool = require('./db');
+const { wantsNotification } = require('./notificationPreferences');
+
+// The daily reminder goes out at each device's reminder_time (or DAILY_REMINDER_TIME) in
+// its time zone (UTC when unset). The job runs every few minutes and picks up devices
+// whose reminder time passed less than DAILY_REMINDER_WINDOW_MINUTES ago, so a missed
+// run or quiet hours only delay a reminder instead of skipping it, and a reminder is
+// never sent hours late.
+const DAILY_REMINDER_TIME = /^([01]\d|2[0-3]):[0-5]\d$/.test(process.env.DAILY_REMINDER_TIME || '')
+  ? process.env.DAILY_REMINDER_TIME
+  : '09:00';
+const DAILY_REMINDER_WINDOW_MINUTES = parseInt(process.env.DAILY_REMINDER_WINDOW_MINUTES, 10) || 60;
+const DELIVERY_RETENTION_DAYS = 7;
+
+// Device local time shifted back by its reminder time: the date part is the local date
+// the reminder belongs to, the time part is how long ago the reminder became due
+const SHIFTED_LOCAL_TIME = `(
+  (NOW() AT TIME ZONE COALESCE(d.time_zone, 'UTC')) - COALESCE(d.reminder_time, $1::time)
+)`;
+
+// Record today's reminder for every device that is due and hasn't had one yet, and queue
+// the reminders with enqueue(devices, client) in the same transaction. The insert is the
+// claim, so concurrent runs can't double-send, and a reminder is only recorded once it is
+// queued. Returns the devices and what enqueue returned.
+async function queueDueReminders(enqueue) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      WITH due AS (
+        INSERT INTO daily_reminder_deliveries (device_id, reminder_date)
+        SELECT d.device_id, ${SHIFTED_LOCAL_TIME}::date
+        FROM devices d
+        WHERE d.push_token IS NOT NULL
+          AND ${wantsNotification('reminders')}
+          AND ${SHIFTED_LOCAL_TIME}::time < make_interval(mins => $2)::time
+        ON CONFLICT (device_id, reminder_date) DO NOTHING
+        RETURNING device_id
+      )
+      SELECT d.device_id, d.push_token, d.platform, d.locale
+      FROM devices d
+      JOIN due ON due.device_id = d.device_id
+    `, [DAILY_REMINDER_TIME, DAILY_REMINDER_WINDOW_MINUTES]);
+
+    const queued = await enqueue(result.rows, client);
+
+    await client.query('COMMIT');
+    return { devices: result.rows, queued };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function pruneReminderDeliveries() {
+  await pool.query(
+    'DELETE FROM daily_reminder_deliveries WHERE sent_at < NOW() - make_interval(days => $1)',
+    [DELIVERY_RETENTION_DAYS]
+  );
+}
+
+module.exports = {
+  DAILY_REMINDER_TIME,
+  DAILY_REMINDER_WINDOW_MINUTES,
+  pruneReminderDeliveries,
+  queueDueReminders,
+};
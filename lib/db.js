@@ -0,0 +1,10 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+// Shared database connection pool (used by the API server and the migration CLI)
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+module.exports = pool;
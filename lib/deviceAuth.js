@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const pool = require('./db');
+
+// DEVICE_AUTH_MODE controls the switch to device credentials:
+//   optional (default) - legacy clients may keep sending a bare device_id, but once a
+//                        device has been issued a credential it must always present it
+//   required           - every device-scoped request must carry a valid credential
+const DEVICE_AUTH_MODE = process.env.DEVICE_AUTH_MODE === 'required' ? 'required' : 'optional';
+
+const DEVICE_TOKEN_HEADER = 'x-device-token';
+// last_active keeps stale-device pruning away from devices in use; it is written at most this often
+const LAST_ACTIVE_INTERVAL_MINUTES = 60;
+
+function hashDeviceToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a new device secret and store its hash. Returns the plain token, which is
+// only ever shown to the device once.
+async function issueDeviceCredential(client, deviceId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await client.query(
+    'UPDATE devices SET credential_hash = $1, credential_issued_at = NOW() WHERE device_id = $2',
+    [hashDeviceToken(token), deviceId]
+  );
+
+  return token;
+}
+
+// Resolve a presented device token to its device_id (null when unknown)
+async function findDeviceByToken(token) {
+  const result = await pool.query(
+    'SELECT device_id FROM devices WHERE credential_hash = $1',
+    [hashDeviceToken(token)]
+  );
+  return result.rows.length ? result.rows[0].device_id : null;
+}
+
+// Record that the device is in use. Rows touched within LAST_ACTIVE_INTERVAL_MINUTES
+// don't match, so most requests don't write.
+async function touchDevice(deviceId) {
+  await pool.query(`
+    UPDATE devices SET last_active = NOW()
+    WHERE device_id = $1 AND (last_active IS NULL OR last_active < NOW() - make_interval(mins => $2))
+  `, [deviceId, LAST_ACTIVE_INTERVAL_MINUTES]);
+}
+
+async function deviceHasCredential(deviceId) {
+  const result = await pool.query(
+    'SELECT 1 FROM devices WHERE device_id = $1 AND credential_hash IS NOT NULL',
+    [deviceId]
+  );
+  return result.rows.length > 0;
+}
+
+// Middleware factory for device-scoped routes. getClaimedDeviceId reads the device id the
+// client claims (body or URL) and is only trusted for legacy clients without a credential.
+// On success req.deviceId holds the authenticated device id and its last_active is refreshed.
+function requireDevice(getClaimedDeviceId) {
+  return async (req, res, next) => {
+    const token = req.get(DEVICE_TOKEN_HEADER);
+    const claimedDeviceId = getClaimedDeviceId(req) || null;
+
+    try {
+      if (token) {
+        const deviceId = await findDeviceByToken(token);
+
+        if (!deviceId) {
+          return res.status(401).json({ error: 'Invalid device credential' });
+        }
+
+        if (claimedDeviceId && claimedDeviceId !== deviceId) {
+          return res.status(403).json({ error: 'Device credential does not match device ID' });
+        }
+
+        req.deviceId = deviceId;
+        req.deviceAuth = 'credential';
+        await touchDevice(deviceId);
+        return next();
+      }
+
+      if (DEVICE_AUTH_MODE === 'required') {
+        return res.status(401).json({ error: 'Device credential required' });
+      }
+
+      if (!claimedDeviceId) {
+        return res.status(400).json({ error: 'Device ID is required' });
+      }
+
+      // A device that has upgraded to credentials can no longer be impersonated by id
+      if (await deviceHasCredential(claimedDeviceId)) {
+        return res.status(401).json({ error: 'Device credential required' });
+      }
+
+      req.deviceId = claimedDeviceId;
+      req.deviceAuth = 'legacy';
+      await touchDevice(claimedDeviceId);
+      next();
+    } catch (err) {
+      console.error('Error authenticating device:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Strip credential fields before a devices row is returned to a client
+function publicDeviceRow(device) {
+  if (!device) {
+    return device;
+  }
+  const { credential_hash, ...rest } = device;
+  return rest;
+}
+
+module.exports = {
+  DEVICE_AUTH_MODE,
+  DEVICE_TOKEN_HEADER,
+  findDeviceByToken,
+  issueDeviceCredential,
+  publicDeviceRow,
+  requireDevice,
+};
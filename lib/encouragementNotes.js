@@ -0,0 +1,245 @@
+const pool = require('./db');
+const { HttpError } = require('./httpError');
+const { wantsNotification } = require('./notificationPreferences');
+
+// Short notes a device that joined a prayer request can leave for the requester, with
+// /join or later. The requester reads them in an inbox that never shows who sent them;
+// a sender may sign a note with a name of their choosing. The requester can reply to
+// each note once. Notes go through the moderation filter and flagged ones are held as
+// "pending" until an admin approves them. Notes are kept when their request is archived.
+//
+// A device can send ENCOURAGEMENT_NOTES_PER_HOUR notes an hour across all requests and
+// NOTES_PER_REQUEST notes to any one request.
+const NOTE_MAX_LENGTH = 280;
+const SIGNATURE_MAX_LENGTH = 40;
+const NOTES_PER_HOUR = parseInt(process.env.ENCOURAGEMENT_NOTES_PER_HOUR, 10) || 5;
+const NOTES_PER_REQUEST = 3;
+
+function validateText(value, { field, maxLength, required }) {
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  if (text === undefined || text === null || text === '') {
+    if (required) {
+      throw new HttpError(`${field} is required`);
+    }
+    return null;
+  }
+  if (typeof text !== 'string') {
+    throw new HttpError(`${field} must be a string`);
+  }
+  if (text.length > maxLength) {
+    throw new HttpError(`${field} must be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+// Trimmed note text and optional signature (null when the note is anonymous)
+function validateNote({ message, signature }) {
+  return {
+    message: validateText(message, { field: 'note', maxLength: NOTE_MAX_LENGTH, required: true }),
+    signature: validateText(signature, { field: 'signature', maxLength: SIGNATURE_MAX_LENGTH, required: false }),
+  };
+}
+
+function validateReply(reply) {
+  return validateText(reply, { field: 'reply', maxLength: NOTE_MAX_LENGTH, required: true });
+}
+
+// Store a note from a device that joined the request. Notes with moderation flags are
+// held for review. Throws HttpError when the device may not send it. The sender's notes
+// are counted and the new one inserted under a per-sender lock, so parallel requests
+// can't get past the limits.
+async function createNote(prayerRequestId, senderDeviceId, { message, signature }, flags) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('encouragement_notes:' || $1))", [senderDeviceId]);
+
+    const checks = await client.query(`
+      SELECT
+        pr.device_id as requester_device_id,
+        EXISTS (
+          SELECT 1 FROM device_prayers dp WHERE dp.prayer_request_id = pr.id AND dp.device_id = $2
+        ) as joined,
+        (SELECT COUNT(*) FROM encouragement_notes n
+          WHERE n.sender_device_id = $2 AND n.created_at > NOW() - INTERVAL '1 hour')::int as sent_last_hour,
+        (SELECT COUNT(*) FROM encouragement_notes n
+          WHERE n.sender_device_id = $2 AND n.prayer_request_id = pr.id)::int as sent_to_request
+      FROM prayer_requests pr
+      WHERE pr.id = $1 AND pr.expires_at > NOW() AND pr.moderation_status = 'approved'
+    `, [prayerRequestId, senderDeviceId]);
+
+    if (checks.rows.length === 0) {
+      throw new HttpError('Prayer request not found or expired', 404);
+    }
+    const check = checks.rows[0];
+    // Legacy requests created without a device have nobody to read the note
+    if (!check.requester_device_id) {
+      throw new HttpError('This prayer request does not accept notes', 404);
+    }
+    if (check.requester_device_id === senderDeviceId) {
+      throw new HttpError('You cannot send a note to your own prayer request', 403);
+    }
+    if (!check.joined) {
+      throw new HttpError('Join this prayer request before sending a note', 403);
+    }
+    if (check.sent_to_request >= NOTES_PER_REQUEST) {
+      throw new HttpError(`You can send at most ${NOTES_PER_REQUEST} notes to one prayer request`, 429);
+    }
+    if (check.sent_last_hour >= NOTES_PER_HOUR) {
+      throw new HttpError(`You can send at most ${NOTES_PER_HOUR} notes an hour`, 429);
+    }
+
+    const result = await client.query(`
+      INSERT INTO encouragement_notes (prayer_request_id, requester_device_id, sender_device_id, message, signature, moderation_status, moderation_flags)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [prayerRequestId, check.requester_device_id, senderDeviceId, message, signature, flags.length > 0 ? 'pending' : 'approved', flags]);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Approved notes on the device's prayer requests, newest first. Sender device IDs are
+// left out; notes from devices the requester blocked are hidden.
+async function listInbox(deviceId, limit) {
+  const result = await pool.query(`
+    SELECT n.id, n.prayer_request_id, n.message, n.signature, n.reply, n.replied_at, n.created_at
+    FROM encouragement_notes n
+    WHERE n.requester_device_id = $1
+      AND n.moderation_status = 'approved'
+      AND NOT EXISTS (SELECT 1 FROM device_blocks db WHERE db.device_id = $1 AND db.blocked_device_id = n.sender_device_id)
+    ORDER BY n.created_at DESC, n.id DESC
+    LIMIT $2
+  `, [deviceId, limit]);
+  return result.rows;
+}
+
+// Notes the device sent, newest first, with their moderation status and any reply
+async function listSentNotes(deviceId, limit) {
+  const result = await pool.query(`
+    SELECT id, prayer_request_id, message, signature, moderation_status, reply, replied_at, created_at
+    FROM encouragement_notes
+    WHERE sender_device_id = $1 AND moderation_status != 'rejected'
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2
+  `, [deviceId, limit]);
+  return result.rows;
+}
+
+// Store the requester's one reply to a note in their inbox. Throws HttpError when the
+// note isn't theirs or already has a reply.
+async function replyToNote(deviceId, noteId, reply) {
+  const result = await pool.query(`
+    UPDATE encouragement_notes n
+    SET reply = $3, replied_at = NOW()
+    WHERE n.id = $2
+      AND n.requester_device_id = $1
+      AND n.moderation_status = 'approved'
+      AND n.reply IS NULL
+    RETURNING n.*
+  `, [deviceId, noteId, reply]);
+
+  if (result.rows.length > 0) {
+    return result.rows[0];
+  }
+
+  const existing = await pool.query(`
+    SELECT n.reply
+    FROM encouragement_notes n
+    WHERE n.id = $2 AND n.requester_device_id = $1 AND n.moderation_status = 'approved'
+  `, [deviceId, noteId]);
+
+  if (existing.rows.length === 0) {
+    throw new HttpError('Note not found', 404);
+  }
+  throw new HttpError('You have already replied to this note', 409);
+}
+
+// The requester of the note's prayer request, if they want note notifications and
+// haven't blocked the sender
+async function findNoteRecipient(noteId) {
+  const result = await pool.query(`
+    SELECT d.device_id, d.push_token, d.platform, d.locale
+    FROM encouragement_notes n
+    JOIN devices d ON d.device_id = n.requester_device_id
+    WHERE n.id = $1
+      AND d.push_token IS NOT NULL
+      AND ${wantsNotification('notes')}
+      AND NOT EXISTS (SELECT 1 FROM device_blocks db WHERE db.device_id = d.device_id AND db.blocked_device_id = n.sender_device_id)
+  `, [noteId]);
+  return result.rows[0] || null;
+}
+
+// The sender of a note, if they want note notifications and haven't blocked the requester
+async function findReplyRecipient(noteId) {
+  const result = await pool.query(`
+    SELECT d.device_id, d.push_token, d.platform, d.locale
+    FROM encouragement_notes n
+    JOIN devices d ON d.device_id = n.sender_device_id
+    WHERE n.id = $1
+      AND d.push_token IS NOT NULL
+      AND ${wantsNotification('notes')}
+      AND NOT EXISTS (SELECT 1 FROM device_blocks db WHERE db.device_id = d.device_id AND db.blocked_device_id = n.requester_device_id)
+  `, [noteId]);
+  return result.rows[0] || null;
+}
+
+// Notes waiting for (or done with) review, oldest first
+async function listNoteModerationQueue(status, limit) {
+  const result = await pool.query(`
+    SELECT
+      n.id,
+      n.prayer_request_id,
+      n.sender_device_id,
+      n.message,
+      n.signature,
+      n.moderation_status,
+      n.moderation_flags,
+      n.moderated_at,
+      n.moderated_by,
+      n.created_at,
+      n.requester_device_id
+    FROM encouragement_notes n
+    WHERE n.moderation_status = $1
+    ORDER BY n.created_at
+    LIMIT $2
+  `, [status, limit]);
+  return result.rows;
+}
+
+// Record an admin decision on a note. Returns the note with its previous_status, or null.
+async function setNoteModerationStatus(noteId, status, adminName) {
+  const result = await pool.query(`
+    UPDATE encouragement_notes n
+    SET moderation_status = $2, moderated_at = NOW(), moderated_by = $3
+    FROM (SELECT id, moderation_status FROM encouragement_notes WHERE id = $1 FOR UPDATE) previous
+    WHERE n.id = previous.id
+    RETURNING n.*, previous.moderation_status as previous_status
+  `, [noteId, status, adminName]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  NOTES_PER_HOUR,
+  NOTES_PER_REQUEST,
+  NOTE_MAX_LENGTH,
+  SIGNATURE_MAX_LENGTH,
+  createNote,
+  findNoteRecipient,
+  findReplyRecipient,
+  listInbox,
+  listNoteModerationQueue,
+  listSentNotes,
+  replyToNote,
+  setNoteModerationStatus,
+  validateNote,
+  validateReply,
+};
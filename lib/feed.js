@@ -0,0 +1,197 @@
+// Query builder for the paginated prayer request feed (GET /api/prayer-requests).
+//
+// Pagination is keyset-based. A cursor is "v1." followed by base64url JSON
+// { sort, key, id }, where key/id are the sort value and id of the last row returned.
+// Cursors are only valid for the sort mode that produced them.
+
+const CURSOR_VERSION = 'v1';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Largest value of an INTEGER column; cursor ids and counts past it would make the query fail
+const MAX_INTEGER = 2147483647;
+
+// Whether a decoded cursor key is a value Postgres can cast to keyType
+const CURSOR_KEY_CHECKS = {
+  integer: key => Number.isInteger(key) && Math.abs(key) <= MAX_INTEGER,
+  timestamp: key => {
+    if (typeof key !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}$/.test(key)) {
+      return false;
+    }
+    // Rejects dates like 2026-02-30 that the pattern lets through
+    const date = new Date(`${key.slice(0, 23)}Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 19) === key.slice(0, 19);
+  },
+};
+
+// For each sort mode: the sort column, its direction, and how to render it as an
+// exact cursor key (timestamps as text so microseconds survive the round trip)
+const SORT_MODES = {
+  newest: {
+    column: 'pr.created_at',
+    direction: 'DESC',
+    keyExpression: `to_char(pr.created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US')`,
+    keyType: 'timestamp',
+  },
+  fewest_prayers: {
+    column: 'pr.prayer_count',
+    direction: 'ASC',
+    keyExpression: 'pr.prayer_count',
+    keyType: 'integer',
+  },
+  ending_soon: {
+    column: 'pr.expires_at',
+    direction: 'ASC',
+    keyExpression: `to_char(pr.expires_at, 'YYYY-MM-DD"T"HH24:MI:SS.US')`,
+    keyType: 'timestamp',
+  },
+};
+
+// Options for the legacy, unpaginated feed (every active request, newest first)
+const LEGACY_FEED_OPTIONS = {
+  sort: 'newest',
+  limit: null,
+  cursor: null,
+  mainCategory: null,
+  topicId: null,
+};
+
+class FeedQueryError extends Error {}
+
+function encodeCursor(sort, row) {
+  const json = JSON.stringify({ sort, key: row.cursor_key, id: row.id });
+  return `${CURSOR_VERSION}.${Buffer.from(json).toString('base64url')}`;
+}
+
+function decodeCursor(cursor, sort) {
+  const [version, encoded] = String(cursor).split('.');
+
+  try {
+    if (version !== CURSOR_VERSION || !encoded) {
+      throw new Error('unknown cursor version');
+    }
+
+    const decoded = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (decoded.sort !== sort || decoded.key === undefined || !Number.isInteger(decoded.id)) {
+      throw new Error('cursor does not match sort');
+    }
+    if (!CURSOR_KEY_CHECKS[SORT_MODES[sort].keyType](decoded.key) || Math.abs(decoded.id) > MAX_INTEGER) {
+      throw new Error('cursor key is not a valid value');
+    }
+    return decoded;
+  } catch (error) {
+    throw new FeedQueryError('Invalid cursor');
+  }
+}
+
+// Parse and validate feed query-string options
+function parseFeedOptions(query) {
+  const sort = query.sort || 'newest';
+  if (!SORT_MODES[sort]) {
+    throw new FeedQueryError(`Sort must be one of: ${Object.keys(SORT_MODES).join(', ')}`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new FeedQueryError('Limit must be a positive number');
+  }
+
+  const topicId = query.topic_id === undefined ? null : Number(query.topic_id);
+  if (topicId !== null && (!/^\d+$/.test(query.topic_id) || topicId > MAX_INTEGER)) {
+    throw new FeedQueryError('Topic ID must be a number');
+  }
+
+  return {
+    sort,
+    limit: Math.min(limit, MAX_LIMIT),
+    cursor: query.cursor ? decodeCursor(query.cursor, sort) : null,
+    mainCategory: query.main_category || null,
+    topicId,
+  };
+}
+
+// Build the feed query. excludeJoinedBy hides requests that device has already joined;
+// excludeBlockedBy hides requests from devices that device has blocked.
+function buildFeedQuery({ sort, limit, cursor, mainCategory, topicId }, { excludeJoinedBy = null, excludeBlockedBy = null } = {}) {
+  const mode = SORT_MODES[sort];
+  const values = [];
+  const conditions = ['pr.expires_at > NOW()', "pr.moderation_status = 'approved'"];
+  const param = value => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (mainCategory) {
+    conditions.push(`LOWER(CASE WHEN pt.parent_id IS NULL THEN pt.title ELSE p.title END) = LOWER(${param(mainCategory)})`);
+  }
+
+  if (topicId !== null) {
+    conditions.push(`pr.topic_id = ${param(topicId)}`);
+  }
+
+  if (excludeJoinedBy) {
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM device_prayers dp
+      WHERE dp.prayer_request_id = pr.id AND dp.device_id = ${param(excludeJoinedBy)}
+    )`);
+  }
+
+  if (excludeBlockedBy) {
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM device_blocks db
+      WHERE db.device_id = ${param(excludeBlockedBy)} AND db.blocked_device_id = pr.device_id
+    )`);
+  }
+
+  if (cursor) {
+    const comparison = mode.direction === 'DESC' ? '<' : '>';
+    const key = param(cursor.key);
+    conditions.push(`(${mode.column}, pr.id) ${comparison} (${key}::${mode.keyType}, ${param(cursor.id)})`);
+  }
+
+  // Fetch one extra row to know whether there is another page
+  const limitClause = limit === null ? '' : `LIMIT ${param(limit + 1)}`;
+  const text = `
+    SELECT
+      pr.id,
+      pr.topic_id,
+      pr.description,
+      pr.prayer_count,
+      pr.active_prayers,
+      pr.created_at,
+      pr.expires_at,
+      pt.title as topic_title,
+      pt.category,
+      CASE WHEN pt.parent_id IS NULL THEN pt.title ELSE p.title END as main_category,
+      ${mode.keyExpression} as cursor_key
+    FROM prayer_requests pr
+    JOIN prayer_topics pt ON pr.topic_id = pt.id
+    LEFT JOIN prayer_topics p ON pt.parent_id = p.id
+    WHERE ${conditions.join('\n      AND ')}
+    ORDER BY ${mode.column} ${mode.direction}, pr.id ${mode.direction}
+    ${limitClause}
+  `;
+
+  return { text, values };
+}
+
+// Trim the look-ahead row and strip cursor keys; returns { prayer_requests, next_cursor }
+function buildFeedPage(rows, { sort, limit }) {
+  const hasMore = limit !== null && rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const nextCursor = hasMore ? encodeCursor(sort, page[page.length - 1]) : null;
+
+  return {
+    prayer_requests: page.map(({ cursor_key, ...row }) => row),
+    next_cursor: nextCursor,
+  };
+}
+
+module.exports = {
+  FeedQueryError,
+  LEGACY_FEED_OPTIONS,
+  SORT_MODES,
+  buildFeedPage,
+  buildFeedQuery,
+  parseFeedOptions,
+};
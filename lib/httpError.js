@@ -0,0 +1,10 @@
+// Failure the route answers with: the message goes back to the client with this
+// HTTP status (400 for bad input, 403/404/409/429 where the lib module knows better)
+class HttpError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,75 @@
+// Push notification text in the device's language. Catalogs live in locales/<language>.json
+// and map keys to text with {placeholders}. A value may instead be an object of plural
+// forms (zero, one, two, few, many, other) picked by the count param under the
+// language's plural rules. Devices without a locale, or with one we have no catalog for,
+// get English, as do keys missing from a catalog.
+const DEFAULT_LOCALE = 'en';
+
+const catalogs = {
+  en: require('../locales/en.json'),
+  es: require('../locales/es.json'),
+  pt: require('../locales/pt.json'),
+};
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+// Canonical form of a BCP 47 language tag ("pt_br" -> "pt-BR"), or null if it isn't one
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string') {
+    return null;
+  }
+  try {
+    const [canonical] = Intl.getCanonicalLocales(locale.trim().replace(/_/g, '-'));
+    return canonical || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The catalog a device's locale uses: "pt-BR" falls back to "pt", unknown languages to English
+function resolveLocale(locale) {
+  const canonical = normalizeLocale(locale);
+  if (!canonical) {
+    return DEFAULT_LOCALE;
+  }
+  if (catalogs[canonical]) {
+    return canonical;
+  }
+  const language = canonical.split('-')[0];
+  return catalogs[language] ? language : DEFAULT_LOCALE;
+}
+
+function pluralForm(locale, forms, count) {
+  const category = new Intl.PluralRules(locale).select(count);
+  return forms[category] !== undefined ? forms[category] : forms.other;
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Text for key in the device's locale, e.g. translate('es', 'prayer_joined.praying', { count: 3 })
+function translate(locale, key, params = {}) {
+  let language = resolveLocale(locale);
+  let entry = catalogs[language][key];
+
+  if (entry === undefined) {
+    language = DEFAULT_LOCALE;
+    entry = catalogs[DEFAULT_LOCALE][key];
+  }
+  if (entry === undefined) {
+    console.warn(`⚠️ Missing translation for "${key}"`);
+    return key;
+  }
+
+  const text = typeof entry === 'string' ? entry : pluralForm(language, entry, Number(params.count));
+  return interpolate(text, params);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  resolveLocale,
+  translate,
+};
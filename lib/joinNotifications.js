@@ -0,0 +1,88 @@
+const pool = require('./db');
+const { wantsNotification } = require('./notificationPreferences');
+
+// /join tells the requester about new joins. The first join is announced right away;
+// joins after a notification are counted and announced together once
+// JOIN_DIGEST_WINDOW_MINUTES have passed, so a popular request doesn't push once per join.
+// The join-digests job sends digests that are due.
+const JOIN_DIGEST_WINDOW_MINUTES = parseInt(process.env.JOIN_DIGEST_WINDOW_MINUTES, 10) || 60;
+
+// Count a new join (never a re-join) toward the requester's next notification. Pass a null
+// joiner to keep the join anonymous.
+async function recordJoin(prayerRequestId, joinerDeviceId) {
+  await pool.query(`
+    INSERT INTO join_notifications (prayer_request_id, pending_joins, first_pending_at, last_joiner_device_id)
+    VALUES ($1, 1, NOW(), $2)
+    ON CONFLICT (prayer_request_id) DO UPDATE SET
+      pending_joins = join_notifications.pending_joins + 1,
+      first_pending_at = COALESCE(join_notifications.first_pending_at, NOW()),
+      last_joiner_device_id = $2
+  `, [prayerRequestId, joinerDeviceId]);
+}
+
+// Claim pending joins of live requests whose requester hasn't been notified within the
+// window. Requesters who don't want join notifications right now (turned off, quiet hours)
+// are skipped, so their joins wait rather than being dropped. Pass a request id to only
+// check that request.
+async function claimDueJoins(prayerRequestId = null) {
+  const params = [JOIN_DIGEST_WINDOW_MINUTES];
+  let filter = '';
+  if (prayerRequestId) {
+    params.push(prayerRequestId);
+    filter = 'AND j.prayer_request_id = $2';
+  }
+
+  const result = await pool.query(`
+    WITH due AS (
+      SELECT j.*
+      FROM join_notifications j
+      JOIN prayer_requests pr ON pr.id = j.prayer_request_id
+      JOIN devices d ON d.device_id = pr.device_id
+      WHERE j.pending_joins > 0
+        AND (j.notified_at IS NULL OR j.notified_at <= NOW() - make_interval(mins => $1))
+        AND pr.expires_at > NOW()
+        AND d.push_token IS NOT NULL
+        AND ${wantsNotification('joins')}
+        ${filter}
+      FOR UPDATE OF j SKIP LOCKED
+    ), claimed AS (
+      UPDATE join_notifications j
+      SET pending_joins = 0, first_pending_at = NULL, notified_at = NOW()
+      FROM due
+      WHERE j.prayer_request_id = due.prayer_request_id
+    )
+    SELECT
+      due.prayer_request_id,
+      due.pending_joins as joins,
+      due.last_joiner_device_id,
+      due.notified_at IS NULL as first_notification,
+      EXTRACT(EPOCH FROM NOW() - due.first_pending_at)::int as pending_seconds,
+      pr.prayer_count,
+      d.device_id,
+      d.push_token,
+      d.platform,
+      d.locale
+    FROM due
+    JOIN prayer_requests pr ON pr.id = due.prayer_request_id
+    JOIN devices d ON d.device_id = pr.device_id
+  `, params);
+
+  return result.rows;
+}
+
+// How long a digest's joins took to come in, as the catalog key and count to phrase it
+// with ("in the last 15 minutes", "in the last hour")
+function digestPeriod(seconds) {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  if (minutes < 60) {
+    return { key: 'period.minutes', count: minutes };
+  }
+  return { key: 'period.hours', count: Math.round(minutes / 60) };
+}
+
+module.exports = {
+  JOIN_DIGEST_WINDOW_MINUTES,
+  claimDueJoins,
+  digestPeriod,
+  recordJoin,
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migrations live in /migrations as NNN_name.up.sql / NNN_name.down.sql pairs
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so only one instance migrates at a time
+const MIGRATION_LOCK_KEY = 7271001;
+
+// Read all migration scripts from disk, ordered by version
+function loadMigrations() {
+  const byVersion = new Map();
+
+  fs.readdirSync(MIGRATIONS_DIR).forEach(file => {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      return;
+    }
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+
+    if (!byVersion.has(version)) {
+      byVersion.set(version, { version, name, up: null, down: null });
+    }
+
+    const migration = byVersion.get(version);
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has conflicting names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+  });
+
+  const migrations = Array.from(byVersion.values()).sort((a, b) => a.version - b.version);
+  migrations.forEach(migration => {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} is missing its up script`);
+    }
+  });
+
+  return migrations;
+}
+
+// Run fn with a dedicated client holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+}
+
+// Run a single migration script and record it, all inside one transaction
+async function runMigrationScript(client, migration, direction) {
+  try {
+    await client.query('BEGIN');
+    await client.query(migration[direction]);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    err.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+}
+
+// Apply all pending migrations (optionally only up to a target version)
+async function migrateUp(pool, { target } = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async client => {
+    const appliedVersions = new Set((await getAppliedMigrations(client)).map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !appliedVersions.has(migration.version) &&
+      (target === undefined || migration.version <= target)
+    );
+
+    const applied = [];
+    for (const migration of pending) {
+      console.log(`⬆️ Applying migration ${migration.version}_${migration.name}`);
+      await runMigrationScript(client, migration, 'up');
+      applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return applied;
+  });
+}
+
+// Roll back the most recently applied migrations
+async function migrateDown(pool, { steps = 1 } = {}) {
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withMigrationLock(pool, async client => {
+    const toRevert = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+
+    const reverted = [];
+    for (const row of toRevert) {
+      const migration = byVersion.get(row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${row.version}_${row.name} has no down script`);
+      }
+
+      console.log(`⬇️ Reverting migration ${migration.version}_${migration.name}`);
+      await runMigrationScript(client, migration, 'down');
+      reverted.push({ version: migration.version, name: migration.name });
+    }
+
+    return reverted;
+  });
+}
+
+// Report every known migration with whether (and when) it was applied
+async function migrationStatus(pool) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async client => {
+    const appliedRows = await getAppliedMigrations(client);
+    const appliedByVersion = new Map(appliedRows.map(row => [row.version, row]));
+    const knownVersions = new Set(migrations.map(migration => migration.version));
+
+    const status = migrations.map(migration => {
+      const row = appliedByVersion.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: !!row,
+        applied_at: row ? row.applied_at : null,
+        reversible: !!migration.down,
+      };
+    });
+
+    // Versions recorded in the database but missing on disk (e.g. after a rollback deploy)
+    appliedRows
+      .filter(row => !knownVersions.has(row.version))
+      .forEach(row => {
+        status.push({
+          version: row.version,
+          name: row.name,
+          applied: true,
+          applied_at: row.applied_at,
+          reversible: false,
+          missing: true,
+        });
+      });
+
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+};
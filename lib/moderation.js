@@ -0,0 +1,168 @@
+const pool = require('./db');
+
+// Free text from requesters is checked against a word list and a set of regular
+// expressions before it can reach other users. Matching requests are held as
+// "pending" until an admin approves or rejects them.
+//
+// MODERATION_BLOCKED_WORDS is a comma-separated list matched as whole words, ignoring case.
+// MODERATION_PATTERNS is a JSON object of named regular expressions, e.g.
+// {"email":"[^\\s@]+@[^\\s@]+\\.[a-z]{2,}"}. By default it catches email addresses and
+// phone numbers; set it to {} to turn pattern checks off.
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+const DEFAULT_PATTERNS = {
+  email: '[^\\s@]+@[^\\s@]+\\.[a-z]{2,}',
+  phone: '\\+?(?:\\d[\\s().-]{0,2}){8,}\\d',
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function loadBlockedWords() {
+  return (process.env.MODERATION_BLOCKED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean)
+    .map(word => ({ flag: `word:${word}`, regex: new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i') }));
+}
+
+function loadPatterns() {
+  let patterns = DEFAULT_PATTERNS;
+
+  if (process.env.MODERATION_PATTERNS) {
+    try {
+      patterns = JSON.parse(process.env.MODERATION_PATTERNS);
+    } catch (error) {
+      console.warn('⚠️ MODERATION_PATTERNS could not be parsed, using defaults:', error.message);
+    }
+  }
+
+  return Object.entries(patterns).flatMap(([name, source]) => {
+    try {
+      return [{ flag: `pattern:${name}`, regex: new RegExp(source, 'i') }];
+    } catch (error) {
+      console.warn(`⚠️ Moderation pattern "${name}" is not a valid regular expression:`, error.message);
+      return [];
+    }
+  });
+}
+
+const rules = [...loadBlockedWords(), ...loadPatterns()];
+
+// The rules a piece of text trips, e.g. ['word:spam', 'pattern:email']; empty when it is clean
+function checkText(...texts) {
+  const text = texts.filter(Boolean).join('\n');
+  if (!text) {
+    return [];
+  }
+  return rules.filter(rule => rule.regex.test(text)).map(rule => rule.flag);
+}
+
+// Requests waiting for (or done with) review, oldest first
+async function listModerationQueue(status, limit) {
+  const result = await pool.query(`
+    SELECT
+      pr.id,
+      pr.topic_id,
+      pr.device_id,
+      pr.description,
+      pr.created_at,
+      pr.expires_at,
+      pr.moderation_status,
+      pr.moderation_flags,
+      pr.moderated_at,
+      pr.moderated_by,
+      pr.moderation_note,
+      pt.title as topic_title,
+      hb.prayer_text as held_broadcast_text,
+      (SELECT COUNT(*) FROM prayer_request_reports r WHERE r.prayer_request_id = pr.id)::int as report_count
+    FROM prayer_requests pr
+    JOIN prayer_topics pt ON pr.topic_id = pt.id
+    LEFT JOIN held_broadcasts hb ON hb.prayer_request_id = pr.id
+    WHERE pr.moderation_status = $1 AND pr.expires_at > NOW()
+    ORDER BY pr.created_at
+    LIMIT $2
+  `, [status, limit]);
+  return result.rows;
+}
+
+// Hold a request for review, adding to the flags it already has
+async function holdForReview(prayerRequestId, flags) {
+  const result = await pool.query(`
+    UPDATE prayer_requests
+    SET moderation_status = 'pending',
+        moderation_flags = ARRAY(SELECT DISTINCT unnest(moderation_flags || $2::text[]))
+    WHERE id = $1
+    RETURNING *
+  `, [prayerRequestId, flags]);
+  return result.rows[0] || null;
+}
+
+// Record an admin decision. Returns the updated request with its previous_status, or null
+// if it doesn't exist or has expired.
+async function setModerationStatus(prayerRequestId, status, adminName, note = null) {
+  const result = await pool.query(`
+    UPDATE prayer_requests pr
+    SET moderation_status = $2, moderated_at = NOW(), moderated_by = $3, moderation_note = $4
+    FROM (SELECT id, moderation_status FROM prayer_requests WHERE id = $1 FOR UPDATE) previous
+    WHERE pr.id = previous.id AND pr.expires_at > NOW()
+    RETURNING pr.*, previous.moderation_status as previous_status
+  `, [prayerRequestId, status, adminName, note]);
+  return result.rows[0] || null;
+}
+
+async function holdBroadcast(prayerRequestId, { requesterName, prayerText, requesterDeviceId }) {
+  await pool.query(`
+    INSERT INTO held_broadcasts (prayer_request_id, requester_name, prayer_text, requester_device_id)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (prayer_request_id)
+    DO UPDATE SET requester_name = $2, prayer_text = $3, requester_device_id = $4
+  `, [prayerRequestId, requesterName, prayerText, requesterDeviceId || null]);
+}
+
+// Remove and return the broadcast held for a request, if any
+async function takeHeldBroadcast(prayerRequestId) {
+  const result = await pool.query(
+    'DELETE FROM held_broadcasts WHERE prayer_request_id = $1 RETURNING *',
+    [prayerRequestId]
+  );
+  return result.rows[0] || null;
+}
+
+// Remove the broadcast held for a request and queue it with enqueue(held, client) in the
+// same transaction, so it is only removed once it is queued. The caller delivers it after
+// the commit. Returns what enqueue returned, or null when nothing was held.
+async function queueHeldBroadcast(prayerRequestId, enqueue) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'DELETE FROM held_broadcasts WHERE prayer_request_id = $1 RETURNING *',
+      [prayerRequestId]
+    );
+    const queued = result.rows.length > 0 ? await enqueue(result.rows[0], client) : null;
+
+    await client.query('COMMIT');
+    return queued;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  MODERATION_STATUSES,
+  checkText,
+  holdBroadcast,
+  holdForReview,
+  listModerationQueue,
+  queueHeldBroadcast,
+  setModerationStatus,
+  takeHeldBroadcast,
+};
@@ -0,0 +1,234 @@
+const pool = require('./db');
+const { HttpError } = require('./httpError');
+const { normalizeLocale } = require('./i18n');
+
+// Per-device notification preferences, stored on the devices row. The fan-out queries
+// use wantsNotification() so every sender applies the same rules.
+
+// Notification types and the devices column that turns each on or off
+const NOTIFICATION_TYPES = {
+  new_requests: 'notify_new_requests',
+  joins: 'notify_joins',
+  reminders: 'notify_reminders',
+  updates: 'notify_updates',
+  notes: 'notify_notes',
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Current local time of the device (alias d)
+const DEVICE_LOCAL_TIME = `(NOW() AT TIME ZONE COALESCE(d.time_zone, 'UTC'))::time`;
+
+// Quiet hours may wrap midnight (22:00-07:00)
+const IN_QUIET_HOURS = `(
+  d.quiet_hours_start IS NOT NULL AND d.quiet_hours_end IS NOT NULL AND CASE
+    WHEN d.quiet_hours_start <= d.quiet_hours_end
+      THEN ${DEVICE_LOCAL_TIME} >= d.quiet_hours_start AND ${DEVICE_LOCAL_TIME} < d.quiet_hours_end
+    ELSE ${DEVICE_LOCAL_TIME} >= d.quiet_hours_start OR ${DEVICE_LOCAL_TIME} < d.quiet_hours_end
+  END
+)`;
+
+// SQL condition: the device (alias d) wants a notification of this type right now.
+// mainCategoryParam is the query placeholder holding the request's main category id, if known.
+function wantsNotification(type, mainCategoryParam = null) {
+  const conditions = [`d.${NOTIFICATION_TYPES[type]}`, `NOT ${IN_QUIET_HOURS}`];
+
+  if (mainCategoryParam) {
+    conditions.push(`(d.main_category_ids IS NULL OR ${mainCategoryParam} = ANY(d.main_category_ids))`);
+  }
+  return `(${conditions.join(' AND ')})`;
+}
+
+function formatPreferences(device) {
+  const hasQuietHours = device.quiet_hours_start !== null && device.quiet_hours_end !== null;
+
+  return {
+    device_id: device.device_id,
+    notifications: Object.fromEntries(
+      Object.entries(NOTIFICATION_TYPES).map(([type, column]) => [type, device[column]])
+    ),
+    main_category_ids: device.main_category_ids,
+    quiet_hours: hasQuietHours ? {
+      start: device.quiet_hours_start.slice(0, 5),
+      end: device.quiet_hours_end.slice(0, 5),
+    } : null,
+    time_zone: device.time_zone,
+    reminder_time: device.reminder_time ? device.reminder_time.slice(0, 5) : null,
+    locale: device.locale,
+  };
+}
+
+// Returns null when the device isn't registered
+async function getPreferences(deviceId) {
+  const result = await pool.query('SELECT * FROM devices WHERE device_id = $1', [deviceId]);
+  return result.rows.length ? formatPreferences(result.rows[0]) : null;
+}
+
+async function validateTimeZone(timeZone) {
+  if (timeZone === null) {
+    return null;
+  }
+
+  // Postgres converts the times, so the zone has to be one it knows
+  const result = await pool.query(
+    'SELECT 1 FROM pg_timezone_names WHERE name = $1',
+    [typeof timeZone === 'string' ? timeZone : '']
+  );
+  if (result.rows.length === 0) {
+    throw new HttpError('time_zone must be an IANA time zone such as "America/New_York"');
+  }
+  return timeZone;
+}
+
+// Resolve main categories given by id or by title (case-insensitive) to their ids
+async function validateMainCategories(categories) {
+  if (categories === null) {
+    return null;
+  }
+
+  const valid = Array.isArray(categories) &&
+    categories.every(category => Number.isInteger(category) || typeof category === 'string');
+  if (!valid) {
+    throw new HttpError('Main categories must be an array of topic IDs or titles, or null');
+  }
+
+  const result = await pool.query(
+    'SELECT id, title FROM prayer_topics WHERE parent_id IS NULL AND retired_at IS NULL'
+  );
+  const ids = categories.map(category => {
+    const match = result.rows.find(row =>
+      Number.isInteger(category) ? row.id === category : row.title.toLowerCase() === category.trim().toLowerCase()
+    );
+    if (!match) {
+      throw new HttpError(`"${category}" is not a main category`);
+    }
+    return match.id;
+  });
+  return [...new Set(ids)];
+}
+
+function validateQuietHours(quietHours) {
+  if (quietHours === null) {
+    return { start: null, end: null };
+  }
+
+  if (!quietHours || !TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)) {
+    throw new HttpError('quiet_hours must be null or { "start": "HH:MM", "end": "HH:MM" }');
+  }
+  return quietHours;
+}
+
+function validateReminderTime(reminderTime) {
+  if (reminderTime !== null && !TIME_PATTERN.test(reminderTime)) {
+    throw new HttpError('reminder_time must be null or "HH:MM"');
+  }
+  return reminderTime;
+}
+
+// Any BCP 47 tag is stored; languages without a catalog get English notifications
+function validateLocale(locale) {
+  if (locale === null) {
+    return null;
+  }
+
+  const canonical = normalizeLocale(locale);
+  if (!canonical) {
+    throw new HttpError('locale must be null or a language tag such as "es" or "pt-BR"');
+  }
+  return canonical;
+}
+
+// Validate the fields present in the body and map them to devices columns
+async function buildPreferenceChanges(fields) {
+  const changes = {};
+
+  if (fields.notifications !== undefined) {
+    const notifications = fields.notifications || {};
+    Object.entries(notifications).forEach(([type, enabled]) => {
+      if (!NOTIFICATION_TYPES[type]) {
+        throw new HttpError(`Notification type must be one of: ${Object.keys(NOTIFICATION_TYPES).join(', ')}`);
+      }
+      if (typeof enabled !== 'boolean') {
+        throw new HttpError(`notifications.${type} must be true or false`);
+      }
+      changes[NOTIFICATION_TYPES[type]] = enabled;
+    });
+  }
+
+  if (fields.main_category_ids !== undefined) {
+    changes.main_category_ids = await validateMainCategories(fields.main_category_ids);
+  }
+
+  if (fields.quiet_hours !== undefined) {
+    const { start, end } = validateQuietHours(fields.quiet_hours);
+    changes.quiet_hours_start = start;
+    changes.quiet_hours_end = end;
+  }
+
+  if (fields.time_zone !== undefined) {
+    changes.time_zone = await validateTimeZone(fields.time_zone);
+  }
+
+  if (fields.reminder_time !== undefined) {
+    changes.reminder_time = validateReminderTime(fields.reminder_time);
+  }
+
+  if (fields.locale !== undefined) {
+    changes.locale = validateLocale(fields.locale);
+  }
+
+  return changes;
+}
+
+// Write validated changes; returns the devices row, or null if the device isn't registered
+async function savePreferenceChanges(deviceId, changes) {
+  const columns = Object.keys(changes);
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+  const result = await pool.query(
+    `UPDATE devices SET ${['last_active = NOW()', ...assignments].join(', ')} WHERE device_id = $1 RETURNING *`,
+    [deviceId, ...columns.map(column => changes[column])]
+  );
+  return result.rows[0] || null;
+}
+
+// Every active main category and whether the device gets new-request pushes for it.
+// notify_everyone is true while the device has never picked categories.
+async function getCategorySubscriptions(deviceId) {
+  const deviceResult = await pool.query('SELECT main_category_ids FROM devices WHERE device_id = $1', [deviceId]);
+  if (deviceResult.rows.length === 0) {
+    return null;
+  }
+
+  const selected = deviceResult.rows[0].main_category_ids;
+  const categories = await pool.query(
+    'SELECT id, title FROM prayer_topics WHERE parent_id IS NULL AND retired_at IS NULL ORDER BY sort_order, id'
+  );
+
+  return {
+    device_id: deviceId,
+    notify_everyone: selected === null,
+    categories: categories.rows.map(category => ({
+      ...category,
+      subscribed: selected === null || selected.includes(category.id),
+    })),
+  };
+}
+
+// Partial update: only fields present in the body change
+async function updatePreferences(deviceId, fields) {
+  const device = await savePreferenceChanges(deviceId, await buildPreferenceChanges(fields));
+
+  if (!device) {
+    throw new HttpError('Device not registered', 404);
+  }
+  return formatPreferences(device);
+}
+
+module.exports = {
+  buildPreferenceChanges,
+  getCategorySubscriptions,
+  getPreferences,
+  savePreferenceChanges,
+  updatePreferences,
+  wantsNotification,
+};
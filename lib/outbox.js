@@ -0,0 +1,259 @@
+const pool = require('./db');
+const { buildMessage, buildWebPushMessage, sendInBatches } = require('./push');
+const { TRANSPORT_UNAVAILABLE_ERRORS } = require('./pushTransport');
+const { INVALID_TOKEN_ERRORS, recordDeliveries } = require('./tokenHealth');
+
+// Notification outbox. Senders queue one row per device and usually deliver it straight
+// away; the deliver-notifications job picks up whatever is still pending. A failed send
+// is retried after NOTIFICATION_RETRY_BASE_SECONDS, doubling each time, until it has
+// been tried NOTIFICATION_MAX_ATTEMPTS times. Errors that can't succeed on retry (the
+// device has no usable token, the message is invalid) fail immediately. Notifications no
+// configured transport can send (app pushes when only Web Push is set up) go back to
+// pending without counting the attempt.
+const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS, 10) || 30;
+
+// A notification left in 'sending' this long belongs to an instance that died mid-send
+const SENDING_TIMEOUT_MINUTES = 10;
+// Pending notifications older than this are stale (yesterday's reminder) and given up on
+const MAX_AGE_HOURS = 24;
+const RETENTION_DAYS = 7;
+const CLAIM_SIZE = 1000;
+
+const PERMANENT_ERRORS = new Set([
+  ...INVALID_TOKEN_ERRORS,
+  'messaging/invalid-argument',
+  'no-push-token',
+]);
+
+// Queue notifications ({ device_id, title, body, data }) of one type. Returns their ids.
+// Pass a transaction's client as db to queue them as part of it.
+async function enqueueNotifications(type, notifications, db = pool) {
+  if (notifications.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(`
+    INSERT INTO notification_outbox (device_id, type, title, body, data)
+    SELECT n.device_id, $1, n.title, n.body, COALESCE(n.data, '{}')
+    FROM jsonb_to_recordset($2::jsonb) AS n(device_id text, title text, body text, data jsonb)
+    RETURNING id
+  `, [type, JSON.stringify(notifications)]);
+
+  return result.rows.map(row => row.id);
+}
+
+// Mark due notifications (or only the given ones) as sending and count the attempt.
+// SKIP LOCKED keeps two workers from claiming the same rows.
+async function claimNotifications(ids, limit) {
+  const params = [limit, SENDING_TIMEOUT_MINUTES];
+  let filter = '';
+  if (ids) {
+    params.push(ids);
+    filter = 'AND id = ANY($3)';
+  }
+
+  const result = await pool.query(`
+    WITH claimed AS (
+      UPDATE notification_outbox
+      SET status = 'sending', attempts = attempts + 1, locked_at = NOW()
+      WHERE id IN (
+        SELECT id FROM notification_outbox
+        WHERE ((status = 'pending' AND next_attempt_at <= NOW())
+          OR (status = 'sending' AND locked_at < NOW() - make_interval(mins => $2)))
+          ${filter}
+        ORDER BY next_attempt_at, id
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    )
+    SELECT c.*, d.push_token, d.platform, d.web_push_keys
+    FROM claimed c
+    LEFT JOIN devices d ON d.device_id = c.device_id
+    ORDER BY c.id
+  `, params);
+
+  return result.rows;
+}
+
+// Log each attempt and move the notification to sent, back to pending with backoff, or failed
+async function finishAttempts(attempts) {
+  const result = await pool.query(`
+    WITH attempts AS (
+      SELECT * FROM jsonb_to_recordset($1::jsonb) AS a(id int, success boolean, error_code text, retry boolean)
+    ), logged AS (
+      INSERT INTO notification_deliveries (notification_id, attempt, success, error_code)
+      SELECT o.id, o.attempts, a.success, a.error_code
+      FROM attempts a
+      JOIN notification_outbox o ON o.id = a.id
+    )
+    UPDATE notification_outbox o
+    SET status = CASE
+          WHEN a.success THEN 'sent'
+          WHEN a.retry AND o.attempts < $2 THEN 'pending'
+          ELSE 'failed'
+        END,
+        next_attempt_at = CASE
+          WHEN NOT a.success AND a.retry AND o.attempts < $2
+            THEN NOW() + make_interval(secs => $3 * power(2, o.attempts - 1))
+          ELSE o.next_attempt_at
+        END,
+        sent_at = CASE WHEN a.success THEN NOW() END,
+        last_error = a.error_code,
+        locked_at = NULL
+    FROM attempts a
+    WHERE o.id = a.id
+    RETURNING o.status
+  `, [JSON.stringify(attempts), MAX_ATTEMPTS, RETRY_BASE_SECONDS]);
+
+  return result.rows;
+}
+
+// Put claimed notifications back to pending, uncounted, to be picked up again after the retry delay
+async function releaseNotifications(ids) {
+  if (ids.length === 0) {
+    return;
+  }
+
+  await pool.query(`
+    UPDATE notification_outbox
+    SET status = 'pending',
+        attempts = attempts - 1,
+        next_attempt_at = NOW() + make_interval(secs => $2),
+        locked_at = NULL
+    WHERE id = ANY($1)
+  `, [ids, RETRY_BASE_SECONDS]);
+}
+
+// Send one claimed chunk. Devices without a push token fail without a send.
+async function deliverClaimed(transport, notifications) {
+  const sendable = notifications.filter(notification => notification.push_token);
+  const messages = sendable.map(notification => (notification.platform === 'web'
+    ? buildWebPushMessage(notification.push_token, notification.web_push_keys, notification.title, notification.body, notification.data)
+    : { ...buildMessage(notification.push_token, notification.title, notification.body, notification.data), platform: notification.platform }
+  ));
+  const { results, batches } = await sendInBatches(transport, messages);
+
+  const resultsById = new Map(sendable.map((notification, index) => [notification.id, results[index]]));
+  const unsent = notifications.filter(notification => {
+    const result = resultsById.get(notification.id);
+    return result && TRANSPORT_UNAVAILABLE_ERRORS.includes(result.errorCode);
+  });
+  const attempted = notifications.filter(notification => !unsent.includes(notification));
+
+  await recordDeliveries(attempted.filter(notification => resultsById.has(notification.id)).map(notification => ({
+    device_id: notification.device_id,
+    push_token: notification.push_token,
+    ...resultsById.get(notification.id),
+  })));
+  await releaseNotifications(unsent.map(notification => notification.id));
+
+  const attempts = attempted.map(notification => {
+    const { success, errorCode } = resultsById.get(notification.id) || { success: false, errorCode: 'no-push-token' };
+    return { id: notification.id, success, error_code: errorCode, retry: !success && !PERMANENT_ERRORS.has(errorCode) };
+  });
+  const statuses = await finishAttempts(attempts);
+
+  return {
+    devices_notified: notifications.length,
+    successful_notifications: statuses.filter(row => row.status === 'sent').length,
+    retrying: statuses.filter(row => row.status === 'pending').length + unsent.length,
+    failed: statuses.filter(row => row.status === 'failed').length,
+    batches,
+  };
+}
+
+// Deliver the given notifications, or everything that is due when ids is null
+async function deliverNotifications(transport, ids = null) {
+  const summary = { devices_notified: 0, successful_notifications: 0, retrying: 0, failed: 0, batches: [] };
+
+  while (true) {
+    const claimed = await claimNotifications(ids, ids ? ids.length : CLAIM_SIZE);
+    if (claimed.length === 0) {
+      break;
+    }
+
+    const chunk = await deliverClaimed(transport, claimed);
+    summary.devices_notified += chunk.devices_notified;
+    summary.successful_notifications += chunk.successful_notifications;
+    summary.retrying += chunk.retrying;
+    summary.failed += chunk.failed;
+    summary.batches.push(...chunk.batches);
+
+    if (ids || claimed.length < CLAIM_SIZE) {
+      break;
+    }
+  }
+
+  return summary;
+}
+
+// Give up on stale pending notifications and delete finished ones past retention
+async function pruneNotifications() {
+  const expired = await pool.query(`
+    UPDATE notification_outbox
+    SET status = 'failed', last_error = 'expired'
+    WHERE status = 'pending' AND created_at < NOW() - make_interval(hours => $1)
+  `, [MAX_AGE_HOURS]);
+
+  const deleted = await pool.query(`
+    DELETE FROM notification_outbox
+    WHERE status IN ('sent', 'failed') AND created_at < NOW() - make_interval(days => $1)
+  `, [RETENTION_DAYS]);
+
+  return { expired: expired.rowCount, deleted: deleted.rowCount };
+}
+
+// Outbox rows, newest first, filtered by any of device_id, type and status
+async function listNotifications({ deviceId, type, status, limit }) {
+  const params = [];
+  const conditions = [];
+  const filters = { device_id: deviceId, type, status };
+
+  Object.entries(filters).forEach(([column, value]) => {
+    if (value) {
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    }
+  });
+  params.push(limit);
+
+  const result = await pool.query(`
+    SELECT id, device_id, type, title, body, status, attempts, next_attempt_at, last_error, created_at, sent_at
+    FROM notification_outbox
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${params.length}
+  `, params);
+  return result.rows;
+}
+
+// One notification with its delivery log, or null
+async function getNotification(id) {
+  const result = await pool.query(`
+    SELECT
+      o.*,
+      COALESCE(json_agg(json_build_object(
+        'attempt', l.attempt,
+        'success', l.success,
+        'error_code', l.error_code,
+        'attempted_at', l.attempted_at
+      ) ORDER BY l.attempt) FILTER (WHERE l.id IS NOT NULL), '[]') as deliveries
+    FROM notification_outbox o
+    LEFT JOIN notification_deliveries l ON l.notification_id = o.id
+    WHERE o.id = $1
+    GROUP BY o.id
+  `, [id]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  NOTIFICATION_STATUSES,
+  deliverNotifications,
+  enqueueNotifications,
+  getNotification,
+  listNotifications,
+  pruneNotifications,
+};
@@ -0,0 +1,113 @@
+const pool = require('./db');
+const { publishCounts } = require('./realtime');
+
+// A session without a heartbeat for this long is treated as abandoned (app crash, lost network)
+const SESSION_TIMEOUT_SECONDS = parseInt(process.env.PRAYER_SESSION_TIMEOUT_SECONDS, 10) || 60;
+const REAPER_INTERVAL_MS = 15 * 1000;
+
+// Recompute active_prayers from live sessions and return the updated request
+async function refreshActivePrayers(prayerRequestId) {
+  const result = await pool.query(`
+    UPDATE prayer_requests
+    SET active_prayers = (
+      SELECT COUNT(*) FROM prayer_sessions
+      WHERE prayer_request_id = $1 AND ended_at IS NULL
+    )
+    WHERE id = $1
+    RETURNING *
+  `, [prayerRequestId]);
+
+  return result.rows[0] || null;
+}
+
+// Open (or refresh) the device's live session. Returns null if the request is missing, expired
+// or not approved by moderation.
+async function startSession(deviceId, prayerRequestId) {
+  const requestResult = await pool.query(
+    `SELECT id FROM prayer_requests WHERE id = $1 AND expires_at > NOW() AND moderation_status = 'approved'`,
+    [prayerRequestId]
+  );
+
+  if (requestResult.rows.length === 0) {
+    return null;
+  }
+
+  await pool.query(`
+    INSERT INTO prayer_sessions (device_id, prayer_request_id)
+    VALUES ($1, $2)
+    ON CONFLICT (device_id, prayer_request_id) WHERE ended_at IS NULL
+    DO UPDATE SET last_heartbeat_at = NOW()
+  `, [deviceId, prayerRequestId]);
+
+  return refreshActivePrayers(prayerRequestId);
+}
+
+// Keep the device's live session alive. Returns false when there is no live session.
+async function heartbeatSession(deviceId, prayerRequestId) {
+  const result = await pool.query(`
+    UPDATE prayer_sessions SET last_heartbeat_at = NOW()
+    WHERE device_id = $1 AND prayer_request_id = $2 AND ended_at IS NULL
+    RETURNING id
+  `, [deviceId, prayerRequestId]);
+
+  return result.rows.length > 0;
+}
+
+// End the device's live session (if any) and return the updated request
+async function endSession(deviceId, prayerRequestId, reason) {
+  await pool.query(`
+    UPDATE prayer_sessions SET ended_at = NOW(), end_reason = $3
+    WHERE device_id = $1 AND prayer_request_id = $2 AND ended_at IS NULL
+  `, [deviceId, prayerRequestId, reason]);
+
+  return refreshActivePrayers(prayerRequestId);
+}
+
+// End every live session, e.g. from the admin reset endpoint
+async function endAllSessions(reason) {
+  await pool.query(
+    'UPDATE prayer_sessions SET ended_at = NOW(), end_reason = $1 WHERE ended_at IS NULL',
+    [reason]
+  );
+  return pool.query('UPDATE prayer_requests SET active_prayers = 0 WHERE active_prayers <> 0 RETURNING *');
+}
+
+// Close sessions that stopped sending heartbeats and publish the corrected counts
+async function reapStaleSessions() {
+  try {
+    const result = await pool.query(`
+      UPDATE prayer_sessions SET ended_at = NOW(), end_reason = 'timeout'
+      WHERE ended_at IS NULL AND last_heartbeat_at < NOW() - make_interval(secs => $1)
+      RETURNING prayer_request_id
+    `, [SESSION_TIMEOUT_SECONDS]);
+
+    const prayerRequestIds = [...new Set(result.rows.map(row => row.prayer_request_id))];
+    for (const prayerRequestId of prayerRequestIds) {
+      const prayerRequest = await refreshActivePrayers(prayerRequestId);
+      if (prayerRequest) {
+        publishCounts(prayerRequest);
+      }
+    }
+
+    if (result.rows.length > 0) {
+      console.log(`🧹 Ended ${result.rows.length} stale prayer session(s)`);
+    }
+  } catch (err) {
+    console.error('Error reaping stale prayer sessions:', err.message);
+  }
+}
+
+function startSessionReaper() {
+  const timer = setInterval(reapStaleSessions, REAPER_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  SESSION_TIMEOUT_SECONDS,
+  endAllSessions,
+  endSession,
+  heartbeatSession,
+  refreshActivePrayers,
+  startSession,
+  startSessionReaper,
+};
@@ -0,0 +1,149 @@
+const pool = require('./db');
+const { HttpError } = require('./httpError');
+const { wantsNotification } = require('./notificationPreferences');
+
+// Updates posted by the device that created a prayer request ("surgery went well"), and
+// the testimony it may add when marking the request answered. Timeline entries have kind
+// 'update' or 'answered'. Every device that joined the request is notified.
+//
+// A request can get PRAYER_UPDATES_PER_HOUR updates an hour and UPDATES_PER_REQUEST in
+// total, so its joiners aren't flooded with pushes.
+const UPDATE_MAX_LENGTH = 1000;
+const UPDATES_PER_HOUR = parseInt(process.env.PRAYER_UPDATES_PER_HOUR, 10) || 3;
+const UPDATES_PER_REQUEST = 20;
+
+// Trimmed text; optional text that is missing or blank comes back as null
+function validateMessage(message, { field, required }) {
+  const text = typeof message === 'string' ? message.trim() : message;
+
+  if (text === undefined || text === null || text === '') {
+    if (required) {
+      throw new HttpError(`${field} is required`);
+    }
+    return null;
+  }
+  if (typeof text !== 'string') {
+    throw new HttpError(`${field} must be a string`);
+  }
+  if (text.length > UPDATE_MAX_LENGTH) {
+    throw new HttpError(`${field} must be at most ${UPDATE_MAX_LENGTH} characters`);
+  }
+  return text;
+}
+
+// Store an update. Throws HttpError (429) when the request is over its limits.
+// The request row is locked while its updates are counted, so parallel posts can't get
+// past the limits.
+async function addUpdate(prayerRequestId, message) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM prayer_requests WHERE id = $1 FOR UPDATE', [prayerRequestId]);
+
+    const counts = await client.query(`
+      SELECT
+        COUNT(*)::int as total,
+        COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '1 hour')::int as last_hour
+      FROM prayer_request_updates
+      WHERE prayer_request_id = $1 AND kind = 'update'
+    `, [prayerRequestId]);
+
+    const { total, last_hour: lastHour } = counts.rows[0];
+    if (total >= UPDATES_PER_REQUEST) {
+      throw new HttpError(`A prayer request can have at most ${UPDATES_PER_REQUEST} updates`, 429);
+    }
+    if (lastHour >= UPDATES_PER_HOUR) {
+      throw new HttpError(`You can post at most ${UPDATES_PER_HOUR} updates an hour`, 429);
+    }
+
+    const result = await client.query(`
+      INSERT INTO prayer_request_updates (prayer_request_id, kind, message)
+      VALUES ($1, 'update', $2)
+      RETURNING id, kind, message, created_at
+    `, [prayerRequestId, message]);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Mark the request answered and record the testimony. Returns null if it already was.
+async function markAnswered(prayerRequestId, testimony) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const answered = await client.query(
+      'UPDATE prayer_requests SET answered_at = NOW() WHERE id = $1 AND answered_at IS NULL RETURNING answered_at',
+      [prayerRequestId]
+    );
+    if (answered.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const result = await client.query(`
+      INSERT INTO prayer_request_updates (prayer_request_id, kind, message)
+      VALUES ($1, 'answered', $2)
+      RETURNING id, kind, message, created_at
+    `, [prayerRequestId, testimony]);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Update timelines (oldest first) keyed by prayer request id
+async function getUpdateTimelines(prayerRequestIds) {
+  const result = await pool.query(`
+    SELECT id, prayer_request_id, kind, message, created_at
+    FROM prayer_request_updates
+    WHERE prayer_request_id = ANY($1)
+    ORDER BY created_at, id
+  `, [prayerRequestIds]);
+
+  const timelines = new Map(prayerRequestIds.map(id => [Number(id), []]));
+  result.rows.forEach(({ prayer_request_id: prayerRequestId, ...update }) => {
+    timelines.get(prayerRequestId).push(update);
+  });
+  return timelines;
+}
+
+// Devices that joined the request and want update notifications, except the requester
+// and devices that blocked it
+async function findUpdateRecipients(prayerRequestId, requesterDeviceId) {
+  const result = await pool.query(`
+    SELECT d.device_id, d.push_token, d.platform, d.locale
+    FROM device_prayers dp
+    JOIN devices d ON d.device_id = dp.device_id
+    WHERE dp.prayer_request_id = $1
+      AND d.device_id != $2
+      AND d.push_token IS NOT NULL
+      AND ${wantsNotification('updates')}
+      AND NOT EXISTS (SELECT 1 FROM device_blocks db WHERE db.device_id = d.device_id AND db.blocked_device_id = $2)
+  `, [prayerRequestId, requesterDeviceId]);
+  return result.rows;
+}
+
+module.exports = {
+  UPDATES_PER_HOUR,
+  UPDATES_PER_REQUEST,
+  UPDATE_MAX_LENGTH,
+  addUpdate,
+  findUpdateRecipients,
+  getUpdateTimelines,
+  markAnswered,
+  validateMessage,
+};
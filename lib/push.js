@@ -0,0 +1,206 @@
+// Push message building and batched delivery. Messages are FCM-shaped whatever the
+// transport (see pushTransport.js) and are sent with the transport's sendEach in batches
+// of up to 500 messages (FCM's limit per call), a few batches at a time, so large fan-outs
+// don't open one connection per device. Messages rejected for quota or rate limits are
+// retried with exponential backoff.
+
+const BATCH_SIZE = 500;
+const BATCH_CONCURRENCY = parseInt(process.env.PUSH_BATCH_CONCURRENCY, 10) || 2;
+const MAX_RETRIES = 5;
+const BACKOFF_BASE_MS = 1000;
+// Bundle ID of the iOS app
+const APNS_TOPIC = process.env.APNS_TOPIC || 'com.coirle.prayerwarriorapp';
+// How long a push service keeps a Web Push message for an offline browser
+const WEB_PUSH_TTL_SECONDS = 24 * 60 * 60;
+// Push services refuse payloads over 4KB, so long data values (the full prayerText) are cut
+const WEB_PUSH_DATA_MAX_LENGTH = 200;
+
+const RETRYABLE_ERROR_CODES = new Set([
+  'messaging/quota-exceeded',
+  'messaging/message-rate-exceeded',
+  'messaging/server-unavailable',
+  'messaging/internal-error',
+]);
+
+function buildMessage(pushToken, title, body, data = {}) {
+  return {
+    token: pushToken,
+    notification: {
+      title: title,
+      body: body,
+    },
+    data: {
+      ...data,
+      // Convert all data values to strings (FCM requirement)
+      timestamp: new Date().toISOString(),
+    },
+    // Platform-specific configurations
+    android: {
+      notification: {
+        channelId: 'prayer-warriors-default',
+        priority: 'high',
+        defaultSound: true,
+        defaultVibrateTimings: true,
+      },
+    },
+    apns: {
+      headers: {
+        'apns-priority': '10', // High priority for immediate delivery
+        'apns-push-type': 'alert', // Alert type for visible notifications
+        'apns-topic': APNS_TOPIC,
+      },
+      payload: {
+        aps: {
+          alert: {
+            title: title,
+            body: body,
+          },
+          sound: 'default',
+          badge: 1,
+          'content-available': 1, // Allows background processing
+          'mutable-content': 1, // Allows notification service extensions
+        },
+      },
+    },
+  };
+}
+
+function truncateWebPushValue(value) {
+  if (typeof value !== 'string' || value.length <= WEB_PUSH_DATA_MAX_LENGTH) {
+    return value;
+  }
+  return `${value.substring(0, WEB_PUSH_DATA_MAX_LENGTH)}...`;
+}
+
+// Web Push message for a browser subscription. Transports route anything with web_push
+// through VAPID-signed Web Push; the browser's service worker gets { title, body, data },
+// with string data values cut to WEB_PUSH_DATA_MAX_LENGTH characters.
+function buildWebPushMessage(endpoint, keys, title, body, data = {}) {
+  return {
+    token: endpoint,
+    notification: {
+      title: title,
+      body: body,
+    },
+    data: {
+      ...Object.fromEntries(Object.entries(data).map(([key, value]) => [key, truncateWebPushValue(value)])),
+      timestamp: new Date().toISOString(),
+    },
+    web_push: {
+      subscription: { endpoint, keys },
+      ttl: WEB_PUSH_TTL_SECONDS,
+      urgency: 'high',
+    },
+  };
+}
+
+// The { endpoint, keys: { p256dh, auth } } of a browser PushSubscription, or null if it
+// isn't one
+function parseWebPushSubscription(subscription) {
+  const valid = subscription &&
+    typeof subscription.endpoint === 'string' && subscription.endpoint.startsWith('https://') &&
+    subscription.keys && typeof subscription.keys.p256dh === 'string' && typeof subscription.keys.auth === 'string';
+
+  return valid ? {
+    endpoint: subscription.endpoint,
+    keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+  } : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Send one batch. Returns a { success, errorCode } result per message and a batch summary.
+async function sendBatch(transport, messages, batchNumber) {
+  const results = messages.map(() => ({ success: false, errorCode: null }));
+  let pending = messages.map((message, index) => index);
+  let retries = 0;
+
+  while (pending.length > 0) {
+    let retryable = [];
+
+    try {
+      const response = await transport.sendEach(pending.map(index => messages[index]));
+      response.responses.forEach((result, position) => {
+        const index = pending[position];
+        const errorCode = result.success ? null : result.error.code;
+        results[index] = { success: result.success, errorCode };
+        if (RETRYABLE_ERROR_CODES.has(errorCode)) {
+          retryable.push(index);
+        }
+      });
+    } catch (error) {
+      // The whole call was rejected, e.g. rate limited before any message went out
+      pending.forEach(index => {
+        results[index] = { success: false, errorCode: error.code || 'unknown' };
+      });
+      retryable = RETRYABLE_ERROR_CODES.has(error.code) ? pending : [];
+    }
+
+    if (retryable.length === 0 || retries >= MAX_RETRIES) {
+      break;
+    }
+
+    const delay = BACKOFF_BASE_MS * 2 ** retries;
+    retries++;
+    console.warn(`⏳ Push batch ${batchNumber}: ${retryable.length} message(s) hit rate limits, retrying in ${delay}ms`);
+    await sleep(delay);
+    pending = retryable;
+  }
+
+  const errors = {};
+  results.filter(result => !result.success).forEach(result => {
+    errors[result.errorCode] = (errors[result.errorCode] || 0) + 1;
+  });
+  const successCount = results.filter(result => result.success).length;
+
+  return {
+    results,
+    summary: {
+      batch: batchNumber,
+      size: messages.length,
+      success_count: successCount,
+      failure_count: messages.length - successCount,
+      retries,
+      errors,
+    },
+  };
+}
+
+// Send messages in batches, at most PUSH_BATCH_CONCURRENCY batches at a time. Returns
+// per-message results in the same order as messages, and a summary per batch.
+async function sendInBatches(transport, messages) {
+  const batches = [];
+  for (let start = 0; start < messages.length; start += BATCH_SIZE) {
+    batches.push(messages.slice(start, start + BATCH_SIZE));
+  }
+
+  const outcomes = new Array(batches.length);
+  let nextBatch = 0;
+
+  const worker = async () => {
+    while (nextBatch < batches.length) {
+      const index = nextBatch++;
+      outcomes[index] = await sendBatch(transport, batches[index], index + 1);
+
+      const { summary } = outcomes[index];
+      console.log(`📦 Push batch ${summary.batch}/${batches.length}: ${summary.success_count}/${summary.size} sent` +
+        (summary.failure_count > 0 ? ` (${JSON.stringify(summary.errors)})` : ''));
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, batches.length) }, worker));
+
+  return {
+    results: outcomes.flatMap(outcome => outcome.results),
+    batches: outcomes.map(outcome => outcome.summary),
+  };
+}
+
+module.exports = {
+  buildMessage,
+  buildWebPushMessage,
+  parseWebPushSubscription,
+  sendInBatches,
+};
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http2 = require('http2');
+const path = require('path');
+
+// Push transports. A transport has a name and sendEach(messages), which takes messages
+// built by buildMessage() and resolves to { responses: [{ success, error: { code } }] }
+// in the same order, like firebase-admin's messaging().sendEach(). Error codes use FCM's
+// names (messaging/registration-token-not-registered, ...) whatever the transport, so
+// retries and token cleanup work the same everywhere.
+//
+// PUSH_TRANSPORT picks one:
+//   fcm    - Firebase Cloud Messaging (default), needs FIREBASE_SERVICE_ACCOUNT
+//   apns   - Apple Push Notification service over HTTP/2 with a token-based (.p8) key for
+//            iOS devices registered with an APNs device token. Every other device still
+//            goes through FCM when FIREBASE_SERVICE_ACCOUNT is set.
+//   memory - keeps the last MEMORY_TRANSPORT_LIMIT messages in memory, sends nothing
+//   file   - appends each message as a JSON line to PUSH_TRANSPORT_FILE, sends nothing
+//
+// With fcm and apns, browser subscriptions (platform 'web') are sent as VAPID-signed Web
+// Push when VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT are set. memory and
+// file record them with everything else.
+//
+// The outbox adds the device's platform to each message for routing; it is removed
+// before a message goes to FCM.
+const PUSH_TRANSPORTS = ['fcm', 'apns', 'memory', 'file'];
+const MEMORY_TRANSPORT_LIMIT = 500;
+
+const APNS_HOSTS = {
+  production: 'https://api.push.apple.com',
+  development: 'https://api.sandbox.push.apple.com',
+};
+// Apple rejects provider tokens older than an hour and throttles refreshing more often than every 20 minutes
+const APNS_TOKEN_TTL_MS = 50 * 60 * 1000;
+const APNS_REQUEST_TIMEOUT_MS = 10000;
+const WEB_PUSH_REQUEST_TIMEOUT_MS = 10000;
+
+// Codes for messages no configured transport can send. The outbox keeps them queued
+// without counting an attempt.
+const TRANSPORT_UNAVAILABLE_ERRORS = ['no-push-transport', 'web-push-not-configured'];
+
+// APNs device tokens are hex; FCM registration tokens never are
+const APNS_DEVICE_TOKEN_PATTERN = /^[0-9a-f]{64,200}$/i;
+
+// APNs failure reasons in FCM's terms. Only Unregistered and ExpiredToken prove a token is
+// dead and get it cleared. BadDeviceToken and DeviceTokenNotForTopic also come back for a
+// sandbox token sent to production or the wrong bundle ID, so they fail the message only.
+const APNS_ERRORS = {
+  BadDeviceToken: 'messaging/invalid-argument',
+  DeviceTokenNotForTopic: 'messaging/invalid-argument',
+  Unregistered: 'messaging/registration-token-not-registered',
+  ExpiredToken: 'messaging/registration-token-not-registered',
+  PayloadTooLarge: 'messaging/invalid-argument',
+  BadTopic: 'messaging/invalid-argument',
+  MissingTopic: 'messaging/invalid-argument',
+  TopicDisallowed: 'messaging/invalid-argument',
+  InvalidProviderToken: 'messaging/third-party-auth-error',
+  ExpiredProviderToken: 'messaging/third-party-auth-error',
+  TooManyRequests: 'messaging/message-rate-exceeded',
+  InternalServerError: 'messaging/internal-error',
+  ServiceUnavailable: 'messaging/server-unavailable',
+  Shutdown: 'messaging/server-unavailable',
+};
+
+function createFcmTransport(env) {
+  if (!env.FIREBASE_SERVICE_ACCOUNT) {
+    console.warn('⚠️ FIREBASE_SERVICE_ACCOUNT not found in environment variables');
+    console.log('📱 Push notifications will be disabled');
+    return null;
+  }
+
+  try {
+    // Only loaded when used, so the other transports work without Firebase
+    const admin = require('firebase-admin');
+    const serviceAccount = JSON.parse(env.FIREBASE_SERVICE_ACCOUNT);
+    const firebaseApp = admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+    });
+    console.log('✅ Firebase Admin SDK initialized');
+
+    return {
+      name: 'fcm',
+      sendEach: messages => firebaseApp.messaging().sendEach(messages),
+    };
+  } catch (error) {
+    console.warn('⚠️ Firebase Admin SDK initialization failed:', error.message);
+    console.log('📱 Push notifications will be disabled');
+    return null;
+  }
+}
+
+// ES256 JWT identifying us to APNs
+function signProviderToken(key, keyId, teamId) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'ES256', kid: keyId })}.${encode({ iss: teamId, iat: Math.floor(Date.now() / 1000) })}`;
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), { key, dsaEncoding: 'ieee-p1363' });
+  return `${unsigned}.${signature.toString('base64url')}`;
+}
+
+function createApnsTransport(env) {
+  if (!env.APNS_KEY || !env.APNS_KEY_ID || !env.APNS_TEAM_ID) {
+    console.warn('⚠️ APNS_KEY, APNS_KEY_ID and APNS_TEAM_ID are required for the apns push transport');
+    console.log('📱 Push notifications will be disabled');
+    return null;
+  }
+
+  let key;
+  try {
+    // The .p8 key is usually pasted into the environment with escaped newlines
+    key = crypto.createPrivateKey(env.APNS_KEY.replace(/\\n/g, '\n'));
+  } catch (error) {
+    console.warn('⚠️ APNS_KEY is not a valid private key:', error.message);
+    console.log('📱 Push notifications will be disabled');
+    return null;
+  }
+
+  const host = env.APNS_PRODUCTION === 'false' ? APNS_HOSTS.development : APNS_HOSTS.production;
+  let session = null;
+  let providerToken = null;
+  let providerTokenIssuedAt = 0;
+
+  const getSession = () => {
+    if (!session || session.closed || session.destroyed) {
+      session = http2.connect(host);
+      session.on('error', error => console.error('❌ APNs connection error:', error.message));
+      // An idle connection shouldn't keep the process alive
+      session.unref();
+    }
+    return session;
+  };
+
+  const getProviderToken = () => {
+    if (!providerToken || Date.now() - providerTokenIssuedAt > APNS_TOKEN_TTL_MS) {
+      providerToken = signProviderToken(key, env.APNS_KEY_ID, env.APNS_TEAM_ID);
+      providerTokenIssuedAt = Date.now();
+    }
+    return providerToken;
+  };
+
+  const sendOne = message => new Promise(resolve => {
+    let status = null;
+    let responseBody = '';
+    let connectionError = null;
+
+    const request = getSession().request({
+      ':method': 'POST',
+      ':path': `/3/device/${message.token}`,
+      authorization: `bearer ${getProviderToken()}`,
+      ...message.apns.headers,
+    });
+    request.setEncoding('utf8');
+    request.setTimeout(APNS_REQUEST_TIMEOUT_MS, () => request.close(http2.constants.NGHTTP2_CANCEL));
+    request.on('response', headers => {
+      status = headers[':status'];
+    });
+    request.on('data', chunk => {
+      responseBody += chunk;
+    });
+    request.on('error', error => {
+      connectionError = error;
+    });
+    request.on('close', () => {
+      if (status === 200) {
+        return resolve({ success: true });
+      }
+      if (status === null) {
+        return resolve({
+          success: false,
+          error: { code: 'messaging/server-unavailable', message: connectionError ? connectionError.message : 'APNs request timed out' },
+        });
+      }
+
+      let reason = `HTTP ${status}`;
+      try {
+        reason = JSON.parse(responseBody).reason || reason;
+      } catch (error) {
+        // Keep the status as the reason
+      }
+      if (status === 403) {
+        // Sign a fresh provider token for the next request
+        providerToken = null;
+      }
+      resolve({ success: false, error: { code: APNS_ERRORS[reason] || `apns/${reason}`, message: reason } });
+    });
+
+    // Custom data travels next to aps in the APNs payload
+    request.end(JSON.stringify({ ...message.data, ...message.apns.payload }));
+  });
+
+  return {
+    name: 'apns',
+    sendEach: async messages => ({ responses: await Promise.all(messages.map(sendOne)) }),
+  };
+}
+
+// Web Push failures by HTTP status, in FCM's terms. 403 means the subscription was made
+// for another VAPID key, so it will never work for us.
+function webPushErrorCode(statusCode) {
+  if (statusCode === 404 || statusCode === 410) {
+    return 'messaging/registration-token-not-registered';
+  }
+  if (statusCode === 403) {
+    return 'messaging/invalid-registration-token';
+  }
+  if (statusCode === 400 || statusCode === 413) {
+    return 'messaging/invalid-argument';
+  }
+  if (statusCode === 429) {
+    return 'messaging/message-rate-exceeded';
+  }
+  if (!statusCode || statusCode >= 500) {
+    return 'messaging/server-unavailable';
+  }
+  return `webpush/${statusCode}`;
+}
+
+function createWebPushTransport(env) {
+  if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY || !env.VAPID_SUBJECT) {
+    console.log('🌐 Web Push disabled (VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT not set)');
+    return null;
+  }
+
+  const webPush = require('web-push');
+  const vapidDetails = {
+    subject: env.VAPID_SUBJECT,
+    publicKey: env.VAPID_PUBLIC_KEY,
+    privateKey: env.VAPID_PRIVATE_KEY,
+  };
+
+  try {
+    // Throws on malformed keys, so a bad configuration shows at startup
+    webPush.getVapidHeaders('https://example.com', vapidDetails.subject, vapidDetails.publicKey, vapidDetails.privateKey, 'aes128gcm');
+  } catch (error) {
+    console.warn('⚠️ Web Push VAPID configuration is invalid:', error.message);
+    return null;
+  }
+  console.log('🌐 Web Push enabled');
+
+  const sendOne = async message => {
+    const payload = JSON.stringify({ ...message.notification, data: message.data });
+    try {
+      await webPush.sendNotification(message.web_push.subscription, payload, {
+        vapidDetails,
+        TTL: message.web_push.ttl,
+        urgency: message.web_push.urgency,
+        timeout: WEB_PUSH_REQUEST_TIMEOUT_MS,
+      });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: { code: webPushErrorCode(error.statusCode), message: error.message } };
+    }
+  };
+
+  return {
+    name: 'webpush',
+    sendEach: async messages => ({ responses: await Promise.all(messages.map(sendOne)) }),
+  };
+}
+
+function isApnsMessage(message) {
+  return message.platform === 'ios' && APNS_DEVICE_TOKEN_PATTERN.test(message.token);
+}
+
+// Send Web Push messages through webPush, iOS APNs device tokens through apns (when it is
+// configured) and everything else through fcm. Any of them may be null; its messages then
+// fail with a TRANSPORT_UNAVAILABLE_ERRORS code and stay queued in the outbox.
+function routePush({ name, fcm = null, apns = null, webPush = null }) {
+  const unavailable = code => messages => ({
+    responses: messages.map(() => ({ success: false, error: { code } })),
+  });
+  const routes = {
+    fcm: fcm ? messages => fcm.sendEach(messages.map(({ platform, ...message }) => message)) : unavailable('no-push-transport'),
+    apns: apns ? apns.sendEach : null,
+    webPush: webPush ? webPush.sendEach : unavailable('web-push-not-configured'),
+  };
+  const routeFor = message => {
+    if (message.web_push) {
+      return 'webPush';
+    }
+    return apns && isApnsMessage(message) ? 'apns' : 'fcm';
+  };
+
+  return {
+    name,
+    fcm: !!fcm,
+    web_push: !!webPush,
+    sendEach: async messages => {
+      const responses = new Array(messages.length);
+      const indexesByRoute = {};
+      messages.forEach((message, index) => {
+        const route = routeFor(message);
+        indexesByRoute[route] = indexesByRoute[route] || [];
+        indexesByRoute[route].push(index);
+      });
+
+      await Promise.all(Object.entries(indexesByRoute).map(async ([route, indexes]) => {
+        const result = await routes[route](indexes.map(index => messages[index]));
+        result.responses.forEach((response, position) => {
+          responses[indexes[position]] = response;
+        });
+      }));
+      return { responses };
+    },
+  };
+}
+
+function createMemoryTransport() {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+    sendEach: async messages => {
+      const sentAt = new Date().toISOString();
+      sent.push(...messages.map(message => ({ ...message, sent_at: sentAt })));
+      sent.splice(0, Math.max(0, sent.length - MEMORY_TRANSPORT_LIMIT));
+      return { responses: messages.map(() => ({ success: true })) };
+    },
+  };
+}
+
+function createFileTransport(env) {
+  const file = path.resolve(env.PUSH_TRANSPORT_FILE || 'push-notifications.log');
+  console.log(`📝 Push notifications will be written to ${file}`);
+
+  return {
+    name: 'file',
+    file,
+    sendEach: async messages => {
+      const sentAt = new Date().toISOString();
+      const lines = messages.map(message => `${JSON.stringify({ ...message, sent_at: sentAt })}\n`);
+      await fs.promises.appendFile(file, lines.join(''));
+      return { responses: messages.map(() => ({ success: true })) };
+    },
+  };
+}
+
+// The transport named by PUSH_TRANSPORT, plus Web Push, or null when neither is configured
+// (notifications then stay queued in the outbox)
+function createPushTransport(env = process.env) {
+  const name = env.PUSH_TRANSPORT || 'fcm';
+
+  if (!PUSH_TRANSPORTS.includes(name)) {
+    throw new Error(`PUSH_TRANSPORT must be one of: ${PUSH_TRANSPORTS.join(', ')}`);
+  }
+
+  if (name === 'memory' || name === 'file') {
+    console.log(`📱 Using ${name} push transport`);
+    return name === 'memory' ? createMemoryTransport() : createFileTransport(env);
+  }
+
+  let apns = null;
+  if (name === 'apns') {
+    apns = createApnsTransport(env);
+    if (apns) {
+      console.log('📱 Using apns push transport for iOS APNs device tokens');
+    }
+  }
+  // With apns, Android devices and FCM tokens still need FCM, but it is optional
+  const fcm = name === 'fcm' || env.FIREBASE_SERVICE_ACCOUNT ? createFcmTransport(env) : null;
+  const webPush = createWebPushTransport(env);
+
+  return fcm || apns || webPush ? routePush({ name, fcm, apns, webPush }) : null;
+}
+
+module.exports = {
+  PUSH_TRANSPORTS,
+  TRANSPORT_UNAVAILABLE_ERRORS,
+  createFileTransport,
+  createMemoryTransport,
+  createPushTransport,
+  routePush,
+};
@@ -0,0 +1,167 @@
+const { EventEmitter } = require('events');
+const pool = require('./db');
+
+// Prayer events are published through Postgres NOTIFY so every server instance can
+// forward them to its own Server-Sent Events subscribers.
+const CHANNEL = 'prayer_events';
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const EXPIRY_CHECK_INTERVAL_MS = 30 * 1000;
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let listenClient = null;
+let expiryTimer = null;
+let lastExpiryCheck = new Date();
+
+// Publish an event to all instances. Falls back to local delivery when LISTEN isn't up.
+async function publish(type, payload) {
+  const event = { type, payload };
+
+  if (!listenClient) {
+    events.emit('event', event);
+    return;
+  }
+
+  try {
+    await pool.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(event)]);
+  } catch (err) {
+    console.error('Error publishing realtime event:', err.message);
+    events.emit('event', event);
+  }
+}
+
+// Hold a dedicated connection that LISTENs for events from every instance
+async function startListening() {
+  try {
+    const client = await pool.connect();
+
+    client.on('notification', message => {
+      try {
+        events.emit('event', JSON.parse(message.payload));
+      } catch (err) {
+        console.error('Error parsing realtime event:', err.message);
+      }
+    });
+
+    client.on('error', err => {
+      console.error('❌ Realtime listener connection lost:', err.message);
+      listenClient = null;
+      client.release(err);
+      setTimeout(startListening, RECONNECT_DELAY_MS);
+    });
+
+    await client.query(`LISTEN ${CHANNEL}`);
+    listenClient = client;
+    console.log('📡 Realtime event listener started');
+  } catch (err) {
+    console.error('❌ Failed to start realtime listener:', err.message);
+    setTimeout(startListening, RECONNECT_DELAY_MS);
+  }
+}
+
+// Requests expire by time rather than by a write, so each instance polls for
+// newly expired requests while it has subscribers and announces them locally.
+async function checkExpired() {
+  if (events.listenerCount('event') === 0) {
+    lastExpiryCheck = new Date();
+    return;
+  }
+
+  try {
+    const now = new Date();
+    const result = await pool.query(
+      'SELECT id FROM prayer_requests WHERE expires_at > $1 AND expires_at <= $2',
+      [lastExpiryCheck, now]
+    );
+    lastExpiryCheck = now;
+
+    if (result.rows.length > 0) {
+      events.emit('event', {
+        type: 'prayer_requests_expired',
+        payload: { ids: result.rows.map(row => row.id) },
+      });
+    }
+  } catch (err) {
+    console.error('Error checking expired prayer requests:', err.message);
+  }
+}
+
+// Push a request's current counts to subscribers
+function publishCounts(prayerRequest) {
+  return publish('prayer_counts', {
+    id: prayerRequest.id,
+    prayer_count: prayerRequest.prayer_count,
+    active_prayers: prayerRequest.active_prayers,
+  });
+}
+
+function startRealtime() {
+  startListening();
+  expiryTimer = setInterval(checkExpired, EXPIRY_CHECK_INTERVAL_MS);
+  expiryTimer.unref();
+}
+
+function eventMatchesRequest(event, prayerRequestId) {
+  const { payload } = event;
+  if (payload.ids) {
+    return payload.ids.includes(prayerRequestId);
+  }
+  return payload.id === prayerRequestId;
+}
+
+function writeEvent(res, type, payload) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  // compression() buffers responses; flush so events go out immediately
+  if (res.flush) {
+    res.flush();
+  }
+}
+
+// Turn a response into an SSE stream. Pass prayerRequestId to only receive events
+// for one request, and initialEvents to send a snapshot before live updates.
+function openEventStream(req, res, { prayerRequestId = null, initialEvents = [] } = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  initialEvents.forEach(event => writeEvent(res, event.type, event.payload));
+
+  const onEvent = event => {
+    if (prayerRequestId === null || eventMatchesRequest(event, prayerRequestId)) {
+      writeEvent(res, event.type, event.payload);
+    }
+  };
+  events.on('event', onEvent);
+
+  // Comment lines keep proxies from closing idle connections
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    if (res.flush) {
+      res.flush();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    events.off('event', onEvent);
+  });
+}
+
+function subscriberCount() {
+  return events.listenerCount('event');
+}
+
+module.exports = {
+  openEventStream,
+  publish,
+  publishCounts,
+  startRealtime,
+  subscriberCount,
+};
@@ -0,0 +1,79 @@
+const pool = require('./db');
+
+// Once this many devices have reported a request since its last moderation decision,
+// it is hidden and queued for admin review. Device ids and credentials cost nothing to
+// make, so only devices registered at least REPORT_MIN_DEVICE_AGE_HOURS before their
+// report count: hiding a request takes identities set up days in advance. Reports are
+// also limited to REPORTS_PER_IP_PER_HOUR per IP address. Every report is kept for admins.
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+const REPORT_MIN_DEVICE_AGE_HOURS = parseInt(process.env.REPORT_MIN_DEVICE_AGE_HOURS, 10) || 72;
+const REPORTS_PER_IP_PER_HOUR = parseInt(process.env.REPORTS_PER_IP_PER_HOUR, 10) || 5;
+const REASON_MAX_LENGTH = 500;
+
+// Record a device's report. Returns the number of reports that count toward hiding since
+// the last moderation decision, or null if the device already reported this request.
+async function recordReport(prayerRequestId, deviceId, reason) {
+  const inserted = await pool.query(`
+    INSERT INTO prayer_request_reports (prayer_request_id, device_id, reason)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (prayer_request_id, device_id) DO NOTHING
+    RETURNING id
+  `, [prayerRequestId, deviceId, reason]);
+
+  if (inserted.rows.length === 0) {
+    return null;
+  }
+
+  // An admin approving a reported request resets the count
+  const result = await pool.query(`
+    SELECT COUNT(*)::int as reports
+    FROM prayer_request_reports r
+    JOIN prayer_requests pr ON pr.id = r.prayer_request_id
+    JOIN devices d ON d.device_id = r.device_id
+    WHERE r.prayer_request_id = $1
+      AND d.created_at <= r.created_at - make_interval(hours => $2)
+      AND (pr.moderated_at IS NULL OR r.created_at > pr.moderated_at)
+  `, [prayerRequestId, REPORT_MIN_DEVICE_AGE_HOURS]);
+
+  return result.rows[0].reports;
+}
+
+// Reported requests with their reports, most reported first
+async function listReportedRequests(limit) {
+  const result = await pool.query(`
+    SELECT
+      pr.id,
+      pr.topic_id,
+      pr.device_id,
+      pr.description,
+      pr.created_at,
+      pr.expires_at,
+      pr.moderation_status,
+      pr.moderated_at,
+      pt.title as topic_title,
+      COUNT(r.id)::int as report_count,
+      MAX(r.created_at) as last_reported_at,
+      json_agg(json_build_object(
+        'device_id', r.device_id,
+        'reason', r.reason,
+        'created_at', r.created_at
+      ) ORDER BY r.created_at) as reports
+    FROM prayer_request_reports r
+    JOIN prayer_requests pr ON pr.id = r.prayer_request_id
+    JOIN prayer_topics pt ON pr.topic_id = pt.id
+    WHERE pr.expires_at > NOW()
+    GROUP BY pr.id, pt.title
+    ORDER BY report_count DESC, last_reported_at DESC
+    LIMIT $1
+  `, [limit]);
+  return result.rows;
+}
+
+module.exports = {
+  REASON_MAX_LENGTH,
+  REPORTS_PER_IP_PER_HOUR,
+  REPORT_HIDE_THRESHOLD,
+  REPORT_MIN_DEVICE_AGE_HOURS,
+  listReportedRequests,
+  recordReport,
+};
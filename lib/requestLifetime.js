@@ -0,0 +1,46 @@
+const pool = require('./db');
+
+// Server-wide prayer request lifetime bounds, in hours. Topics may narrow or widen
+// these through prayer_topics.{min,max,default}_duration_hours.
+const DEFAULT_DURATION_HOURS = parseInt(process.env.PRAYER_REQUEST_DEFAULT_HOURS, 10) || 24;
+const MIN_DURATION_HOURS = parseInt(process.env.PRAYER_REQUEST_MIN_HOURS, 10) || 1;
+const MAX_DURATION_HOURS = parseInt(process.env.PRAYER_REQUEST_MAX_HOURS, 10) || 168;
+
+// SQL for a topic's effective duration columns (subtopics inherit from their main category).
+// Expects the topic aliased as pt and its parent as p.
+const EFFECTIVE_DURATION_COLUMNS = `
+  COALESCE(pt.min_duration_hours, p.min_duration_hours) as min_duration_hours,
+  COALESCE(pt.max_duration_hours, p.max_duration_hours) as max_duration_hours,
+  COALESCE(pt.default_duration_hours, p.default_duration_hours) as default_duration_hours
+`;
+
+// Turn a row with effective duration columns into concrete bounds
+function durationBounds(row) {
+  const min = row.min_duration_hours || MIN_DURATION_HOURS;
+  const max = Math.max(row.max_duration_hours || MAX_DURATION_HOURS, min);
+  const fallback = row.default_duration_hours || DEFAULT_DURATION_HOURS;
+
+  return {
+    min,
+    max,
+    default: Math.min(Math.max(fallback, min), max),
+  };
+}
+
+// Duration bounds for a topic, or null if the topic doesn't exist
+async function getTopicDurationBounds(topicId) {
+  const result = await pool.query(`
+    SELECT ${EFFECTIVE_DURATION_COLUMNS}
+    FROM prayer_topics pt
+    LEFT JOIN prayer_topics p ON pt.parent_id = p.id
+    WHERE pt.id = $1
+  `, [topicId]);
+
+  return result.rows.length ? durationBounds(result.rows[0]) : null;
+}
+
+module.exports = {
+  EFFECTIVE_DURATION_COLUMNS,
+  durationBounds,
+  getTopicDurationBounds,
+};
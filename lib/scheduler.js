@@ -0,0 +1,316 @@
+const os = require('os');
+const pool = require('./db');
+
+// In-process job scheduler. Jobs use five-field cron expressions evaluated in UTC
+// ("minute hour day-of-month month day-of-week"). Every instance runs the scheduler,
+// but each scheduled tick is claimed through a row in scheduled_jobs, so only one
+// instance runs a given job at a time. A run that takes longer than its timeoutMinutes is
+// recorded as failed and its lock lapses; the job's code can't be cancelled, so whatever it
+// does afterwards is ignored. Run history older than JOB_RUN_RETENTION_DAYS is pruned.
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const JOB_RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS, 10) || 14;
+
+const jobs = new Map();
+let tickTimer = null;
+
+// Parse one cron field ("*", "5", "1-5", "*/15", "0,30", "10-40/10") into a set of values
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let start = min;
+    let end = max;
+
+    if (rangeText !== '*') {
+      const bounds = rangeText.split('-').map(value => parseInt(value, 10));
+      start = bounds[0];
+      end = bounds.length > 1 ? bounds[1] : (stepText === undefined ? bounds[0] : max);
+    }
+
+    if ([start, end, step].some(Number.isNaN) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field "${text}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) =>
+    parseCronField(part, CRON_FIELDS[index])
+  );
+
+  // Both 0 and 7 mean Sunday
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.add(0);
+  }
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*',
+  };
+}
+
+function cronMatches(cron, date) {
+  if (!cron.minute.has(date.getUTCMinutes()) ||
+      !cron.hour.has(date.getUTCHours()) ||
+      !cron.month.has(date.getUTCMonth() + 1)) {
+    return false;
+  }
+
+  // Standard cron: when both day fields are restricted, either may match
+  const dayOfMonthMatches = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeekMatches = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+// JOB_SCHEDULES overrides default schedules, e.g. {"daily-reminder":"0 14 * * *"}.
+// A schedule of "off" disables the job's automatic runs (it can still be run manually).
+function loadScheduleOverrides() {
+  if (!process.env.JOB_SCHEDULES) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.JOB_SCHEDULES);
+  } catch (error) {
+    console.warn('⚠️ JOB_SCHEDULES could not be parsed:', error.message);
+    return {};
+  }
+}
+
+const scheduleOverrides = loadScheduleOverrides();
+
+// Register a job. run() receives nothing and may return a JSON-serializable result
+// that is stored with the run history.
+function defineJob({ name, description, schedule, timeoutMinutes = 10, run }) {
+  const effectiveSchedule = scheduleOverrides[name] || schedule;
+  const cron = effectiveSchedule === 'off' ? null : parseCron(effectiveSchedule);
+
+  jobs.set(name, { name, description, schedule: effectiveSchedule, cron, timeoutMinutes, run });
+}
+
+// Claim the job row. Scheduled runs also claim the tick so it only runs once across instances.
+async function claimJob(job, scheduledFor) {
+  const result = await pool.query(`
+    UPDATE scheduled_jobs
+    SET locked_by = $2,
+        locked_until = NOW() + make_interval(mins => $3),
+        last_scheduled_for = COALESCE($4, last_scheduled_for)
+    WHERE name = $1
+      AND (locked_until IS NULL OR locked_until < NOW())
+      AND ($4::timestamptz IS NULL OR last_scheduled_for IS NULL OR last_scheduled_for < $4)
+    RETURNING name
+  `, [job.name, INSTANCE_ID, job.timeoutMinutes, scheduledFor]);
+
+  return result.rows.length > 0;
+}
+
+async function releaseJob(job) {
+  await pool.query(
+    'UPDATE scheduled_jobs SET locked_by = NULL, locked_until = NULL WHERE name = $1 AND locked_by = $2',
+    [job.name, INSTANCE_ID]
+  );
+}
+
+// Resolve or reject like promise, or reject once the job's timeout has passed
+function withTimeout(promise, job) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${job.timeoutMinutes} minute(s)`);
+      error.timedOut = true;
+      reject(error);
+    }, job.timeoutMinutes * 60 * 1000);
+    timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run a job now. Returns the job_runs row, or null if another run holds the lock.
+async function runJob(name, { trigger = 'manual', scheduledFor = null } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+
+  if (!(await claimJob(job, scheduledFor))) {
+    return null;
+  }
+
+  const runResult = await pool.query(`
+    INSERT INTO job_runs (job_name, trigger, scheduled_for, instance_id)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id
+  `, [job.name, trigger, scheduledFor, INSTANCE_ID]);
+  const runId = runResult.rows[0].id;
+
+  console.log(`⏰ Running job ${job.name} (${trigger})`);
+  let timedOut = false;
+
+  try {
+    const output = await withTimeout(Promise.resolve().then(job.run), job);
+    const finished = await pool.query(`
+      UPDATE job_runs SET status = 'succeeded', finished_at = NOW(), result = $2
+      WHERE id = $1
+      RETURNING *
+    `, [runId, JSON.stringify(output === undefined ? null : output)]);
+
+    console.log(`✅ Job ${job.name} finished`);
+    return finished.rows[0];
+  } catch (err) {
+    timedOut = !!err.timedOut;
+    console.error(`❌ Job ${job.name} failed:`, err.message);
+    const failed = await pool.query(`
+      UPDATE job_runs SET status = 'failed', finished_at = NOW(), error = $2
+      WHERE id = $1
+      RETURNING *
+    `, [runId, err.message]);
+    return failed.rows[0];
+  } finally {
+    // A timed-out run may still be going; its lock expires now rather than being released
+    if (!timedOut) {
+      await releaseJob(job);
+    }
+  }
+}
+
+async function tick() {
+  const now = new Date();
+  now.setUTCSeconds(0, 0);
+
+  for (const job of jobs.values()) {
+    if (job.cron && cronMatches(job.cron, now)) {
+      runJob(job.name, { trigger: 'schedule', scheduledFor: now }).catch(err => {
+        console.error(`❌ Could not run job ${job.name}:`, err.message);
+      });
+    }
+  }
+}
+
+// Fire at the start of every minute
+function scheduleNextTick() {
+  const delay = 60 * 1000 - (Date.now() % (60 * 1000));
+  tickTimer = setTimeout(() => {
+    scheduleNextTick();
+    tick();
+  }, delay);
+  tickTimer.unref();
+}
+
+// Job rows are created even when the scheduler is disabled, so manual runs can claim them
+async function startScheduler() {
+  for (const job of jobs.values()) {
+    await pool.query(
+      'INSERT INTO scheduled_jobs (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+      [job.name]
+    );
+  }
+
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏰ Job scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  scheduleNextTick();
+  console.log(`⏰ Job scheduler started with ${jobs.size} job(s)`);
+}
+
+// Job definitions merged with their lock state and most recent run
+async function listJobs() {
+  const result = await pool.query(`
+    SELECT sj.name, sj.last_scheduled_for, sj.locked_by, sj.locked_until,
+           lr.id as last_run_id, lr.status as last_run_status, lr.trigger as last_run_trigger,
+           lr.started_at as last_run_started_at, lr.finished_at as last_run_finished_at,
+           lr.error as last_run_error
+    FROM scheduled_jobs sj
+    LEFT JOIN LATERAL (
+      SELECT * FROM job_runs jr WHERE jr.job_name = sj.name ORDER BY jr.started_at DESC LIMIT 1
+    ) lr ON true
+  `);
+  const stateByName = new Map(result.rows.map(row => [row.name, row]));
+
+  return Array.from(jobs.values()).map(job => {
+    const state = stateByName.get(job.name) || {};
+    const running = !!state.locked_until && new Date(state.locked_until) > new Date();
+
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      enabled: !!job.cron,
+      running,
+      locked_by: running ? state.locked_by : null,
+      last_scheduled_for: state.last_scheduled_for || null,
+      last_run: state.last_run_id ? {
+        id: state.last_run_id,
+        status: state.last_run_status,
+        trigger: state.last_run_trigger,
+        started_at: state.last_run_started_at,
+        finished_at: state.last_run_finished_at,
+        error: state.last_run_error,
+      } : null,
+    };
+  });
+}
+
+async function listJobRuns(name, limit = 20) {
+  const result = await pool.query(
+    'SELECT * FROM job_runs WHERE job_name = $1 ORDER BY started_at DESC LIMIT $2',
+    [name, limit]
+  );
+  return result.rows;
+}
+
+// Delete run history past retention. Returns the number of runs deleted.
+async function pruneJobRuns() {
+  const result = await pool.query(
+    'DELETE FROM job_runs WHERE started_at < NOW() - make_interval(days => $1)',
+    [JOB_RUN_RETENTION_DAYS]
+  );
+  return result.rowCount;
+}
+
+function hasJob(name) {
+  return jobs.has(name);
+}
+
+module.exports = {
+  defineJob,
+  hasJob,
+  listJobRuns,
+  listJobs,
+  cronMatches,
+  parseCron,
+  pruneJobRuns,
+  runJob,
+  startScheduler,
+};
@@ -0,0 +1,100 @@
+const pool = require('./db');
+
+// FCM errors that mean a token will never work again (app uninstalled, token rotated or
+// malformed). Devices with these tokens get the token cleared instead of retried forever.
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+
+// Store the outcome of a push for each device. deliveries holds
+// { device_id, push_token, success, errorCode }. A token is only cleared if the device
+// still has the token that failed, so a fresh registration isn't thrown away.
+async function recordDeliveries(deliveries) {
+  if (deliveries.length === 0) {
+    return 0;
+  }
+
+  const result = await pool.query(`
+    UPDATE devices d
+    SET last_delivery_at = NOW(),
+        last_delivery_status = CASE WHEN r.success THEN 'sent' ELSE 'failed' END,
+        last_delivery_error = r.error_code,
+        push_token = CASE WHEN r.invalid THEN NULL ELSE d.push_token END,
+        push_token_invalidated_at = CASE WHEN r.invalid THEN NOW() ELSE d.push_token_invalidated_at END,
+        push_token_invalid_reason = CASE WHEN r.invalid THEN r.error_code ELSE d.push_token_invalid_reason END
+    FROM (
+      SELECT *, error_code = ANY($5) AND push_token IS NOT NULL as invalid
+      FROM unnest($1::text[], $2::text[], $3::boolean[], $4::text[]) AS t(device_id, push_token, success, error_code)
+    ) r
+    WHERE d.device_id = r.device_id
+      AND (NOT r.invalid OR d.push_token = r.push_token)
+    RETURNING r.invalid
+  `, [
+    deliveries.map(delivery => delivery.device_id),
+    deliveries.map(delivery => delivery.push_token),
+    deliveries.map(delivery => delivery.success),
+    deliveries.map(delivery => delivery.errorCode || null),
+    INVALID_TOKEN_ERRORS,
+  ]);
+
+  const cleared = result.rows.filter(row => row.invalid).length;
+  if (cleared > 0) {
+    console.log(`🧹 Cleared ${cleared} invalid push token(s)`);
+  }
+  return cleared;
+}
+
+// Token and delivery health across all devices, plus the most recent invalidations
+async function tokenHealthReport(limit) {
+  const totals = await pool.query(`
+    SELECT
+      COUNT(*)::int as devices,
+      COUNT(push_token)::int as with_push_token,
+      COUNT(*) FILTER (WHERE push_token IS NULL AND push_token_invalidated_at IS NOT NULL)::int as invalidated,
+      COUNT(*) FILTER (WHERE push_token IS NULL AND push_token_invalidated_at IS NULL)::int as never_registered_token,
+      COUNT(*) FILTER (WHERE push_token IS NOT NULL AND last_delivery_at IS NULL)::int as never_delivered,
+      COUNT(*) FILTER (WHERE push_token IS NOT NULL AND last_delivery_status = 'failed')::int as last_delivery_failed
+    FROM devices
+  `);
+
+  const byPlatform = await pool.query(`
+    SELECT platform,
+      COUNT(*)::int as devices,
+      COUNT(push_token)::int as with_push_token,
+      COUNT(*) FILTER (WHERE last_delivery_status = 'sent')::int as last_delivery_sent,
+      COUNT(*) FILTER (WHERE last_delivery_status = 'failed')::int as last_delivery_failed
+    FROM devices
+    GROUP BY platform
+    ORDER BY platform
+  `);
+
+  const byError = await pool.query(`
+    SELECT last_delivery_error as error, COUNT(*)::int as devices
+    FROM devices
+    WHERE last_delivery_status = 'failed'
+    GROUP BY last_delivery_error
+    ORDER BY devices DESC
+  `);
+
+  const recentInvalidations = await pool.query(`
+    SELECT device_id, platform, push_token_invalidated_at, push_token_invalid_reason
+    FROM devices
+    WHERE push_token IS NULL AND push_token_invalidated_at IS NOT NULL
+    ORDER BY push_token_invalidated_at DESC
+    LIMIT $1
+  `, [limit]);
+
+  return {
+    ...totals.rows[0],
+    by_platform: byPlatform.rows,
+    failures_by_error: byError.rows,
+    recent_invalidations: recentInvalidations.rows,
+  };
+}
+
+module.exports = {
+  INVALID_TOKEN_ERRORS,
+  recordDeliveries,
+  tokenHealthReport,
+};
@@ -0,0 +1,258 @@
+const pool = require('./db');
+const { HttpError } = require('./httpError');
+
+// Prayer topics form a two-level tree: main categories (parent_id NULL) and their
+// subtopics. These helpers back the admin topic endpoints.
+
+const TITLE_MAX_LENGTH = 255;
+const DURATION_FIELDS = ['min_duration_hours', 'max_duration_hours', 'default_duration_hours'];
+
+// Same order as GET /api/prayer-topics: main categories, each followed by its subtopics
+const TOPIC_ORDER = `
+  COALESCE(p.sort_order, pt.sort_order),
+  COALESCE(pt.parent_id, pt.id),
+  pt.parent_id IS NULL DESC,
+  pt.sort_order,
+  pt.id
+`;
+
+// Every topic, retired ones included, with how many live requests use it
+async function listAllTopics() {
+  const result = await pool.query(`
+    SELECT
+      pt.*,
+      (SELECT COUNT(*) FROM prayer_requests pr WHERE pr.topic_id = pt.id AND pr.expires_at > NOW())::int as active_requests
+    FROM prayer_topics pt
+    LEFT JOIN prayer_topics p ON pt.parent_id = p.id
+    ORDER BY ${TOPIC_ORDER}
+  `);
+  return result.rows;
+}
+
+// The topic, or null if there is none (or id isn't a topic id, such as a NaN route param)
+async function getTopic(id, client = pool) {
+  if (!Number.isInteger(id)) {
+    return null;
+  }
+  const result = await client.query('SELECT * FROM prayer_topics WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+// Whether new prayer requests may use this topic (it and its main category are not retired)
+async function isTopicAvailable(id) {
+  const result = await pool.query(`
+    SELECT 1
+    FROM prayer_topics pt
+    LEFT JOIN prayer_topics p ON pt.parent_id = p.id
+    WHERE pt.id = $1 AND pt.retired_at IS NULL AND p.retired_at IS NULL
+  `, [id]);
+  return result.rows.length > 0;
+}
+
+function validateTitle(title) {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new HttpError('Title is required');
+  }
+  if (title.trim().length > TITLE_MAX_LENGTH) {
+    throw new HttpError(`Title must be at most ${TITLE_MAX_LENGTH} characters`);
+  }
+  return title.trim();
+}
+
+function validateDuration(field, value) {
+  if (value !== null && (!Number.isInteger(value) || value < 1)) {
+    throw new HttpError(`${field} must be a positive whole number or null`);
+  }
+  return value;
+}
+
+// Only active main categories can hold subtopics
+async function validateParent(parentId, topicId = null) {
+  if (parentId === null) {
+    return null;
+  }
+
+  if (parentId === topicId) {
+    throw new HttpError('A topic cannot be its own parent');
+  }
+
+  const parent = await getTopic(parentId);
+  if (!parent) {
+    throw new HttpError('Parent topic not found');
+  }
+  if (parent.parent_id !== null) {
+    throw new HttpError('Parent must be a main category');
+  }
+  if (parent.retired_at) {
+    throw new HttpError('Parent topic is retired');
+  }
+  return parent;
+}
+
+// Subtopics use their main category's lowercased title as category, like the seeded data
+function defaultCategory(parent) {
+  return parent ? parent.title.toLowerCase() : 'main';
+}
+
+async function nextSortOrder(parentId) {
+  const result = await pool.query(
+    'SELECT COALESCE(MAX(sort_order), 0) + 1 as next FROM prayer_topics WHERE parent_id IS NOT DISTINCT FROM $1',
+    [parentId]
+  );
+  return result.rows[0].next;
+}
+
+async function createTopic(fields) {
+  const title = validateTitle(fields.title);
+  const parentId = fields.parent_id === undefined ? null : fields.parent_id;
+  const parent = await validateParent(parentId);
+  const sortOrder = fields.sort_order === undefined ? await nextSortOrder(parentId) : fields.sort_order;
+
+  if (!Number.isInteger(sortOrder)) {
+    throw new HttpError('sort_order must be a whole number');
+  }
+
+  const durations = DURATION_FIELDS.map(field =>
+    validateDuration(field, fields[field] === undefined ? null : fields[field])
+  );
+
+  const result = await pool.query(`
+    INSERT INTO prayer_topics
+      (title, category, parent_id, sort_order, min_duration_hours, max_duration_hours, default_duration_hours)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [title, fields.category || defaultCategory(parent), parentId, sortOrder, ...durations]);
+
+  return result.rows[0];
+}
+
+// Rename, reparent, reorder or change duration bounds of a topic
+async function updateTopic(id, fields) {
+  const topic = await getTopic(id);
+  if (!topic) {
+    throw new HttpError('Topic not found', 404);
+  }
+
+  const changes = {};
+
+  if (fields.title !== undefined) {
+    changes.title = validateTitle(fields.title);
+  }
+
+  if (fields.parent_id !== undefined && fields.parent_id !== topic.parent_id) {
+    if (fields.parent_id !== null) {
+      const children = await pool.query('SELECT 1 FROM prayer_topics WHERE parent_id = $1 LIMIT 1', [id]);
+      if (children.rows.length > 0) {
+        throw new HttpError('A main category with subtopics cannot become a subtopic');
+      }
+    }
+
+    const parent = await validateParent(fields.parent_id, topic.id);
+    changes.parent_id = fields.parent_id;
+    changes.category = defaultCategory(parent);
+    changes.sort_order = await nextSortOrder(fields.parent_id);
+  }
+
+  if (fields.category !== undefined) {
+    if (typeof fields.category !== 'string' || !fields.category.trim()) {
+      throw new HttpError('Category must be a non-empty string');
+    }
+    changes.category = fields.category.trim();
+  }
+
+  if (fields.sort_order !== undefined) {
+    if (!Number.isInteger(fields.sort_order)) {
+      throw new HttpError('sort_order must be a whole number');
+    }
+    changes.sort_order = fields.sort_order;
+  }
+
+  DURATION_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      changes[field] = validateDuration(field, fields[field]);
+    }
+  });
+
+  const columns = Object.keys(changes);
+  if (columns.length === 0) {
+    return topic;
+  }
+
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+  const result = await pool.query(
+    `UPDATE prayer_topics SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [id, ...columns.map(column => changes[column])]
+  );
+
+  return result.rows[0];
+}
+
+// Put the listed siblings first, in the given order; unlisted siblings keep their relative order after them
+async function reorderTopics(parentId, topicIds) {
+  if (!Array.isArray(topicIds) || topicIds.length === 0 || !topicIds.every(Number.isInteger)) {
+    throw new HttpError('topic_ids must be a non-empty array of topic IDs');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const siblings = await client.query(
+      'SELECT id FROM prayer_topics WHERE parent_id IS NOT DISTINCT FROM $1 ORDER BY sort_order, id FOR UPDATE',
+      [parentId]
+    );
+    const siblingIds = siblings.rows.map(row => row.id);
+    const strangers = topicIds.filter(topicId => !siblingIds.includes(topicId));
+
+    if (strangers.length > 0) {
+      throw new HttpError(`Topics ${strangers.join(', ')} are not ${parentId === null ? 'main categories' : `subtopics of ${parentId}`}`);
+    }
+
+    const ordered = [...new Set(topicIds), ...siblingIds.filter(siblingId => !topicIds.includes(siblingId))];
+    for (let index = 0; index < ordered.length; index++) {
+      await client.query(
+        'UPDATE prayer_topics SET sort_order = $2, updated_at = NOW() WHERE id = $1',
+        [ordered[index], index + 1]
+      );
+    }
+
+    await client.query('COMMIT');
+    return ordered;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Retire (hide from the topic list and new requests) or restore a topic
+async function setTopicRetired(id, retired) {
+  if (!Number.isInteger(id)) {
+    throw new HttpError('Topic not found', 404);
+  }
+
+  const result = await pool.query(`
+    UPDATE prayer_topics
+    SET retired_at = CASE WHEN $2 THEN COALESCE(retired_at, NOW()) ELSE NULL END,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [id, retired]);
+
+  if (result.rows.length === 0) {
+    throw new HttpError('Topic not found', 404);
+  }
+  return result.rows[0];
+}
+
+module.exports = {
+  TOPIC_ORDER,
+  createTopic,
+  isTopicAvailable,
+  listAllTopics,
+  reorderTopics,
+  setTopicRetired,
+  updateTopic,
+};
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Database migration CLI
+//
+//   node migrate.js up [targetVersion]   Apply pending migrations
+//   node migrate.js down [steps]         Revert the last applied migration(s)
+//   node migrate.js status               Show applied and pending migrations
+
+const pool = require('./lib/db');
+const { migrateUp, migrateDown, migrationStatus } = require('./lib/migrations');
+
+// A whole-number argument, or a usage error ("down abc" would otherwise revert nothing)
+function parseNumberArg(arg, usage) {
+  if (!/^\d+$/.test(arg)) {
+    throw new Error(`Expected a number, got "${arg}". Usage: ${usage}`);
+  }
+  return parseInt(arg, 10);
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const target = arg !== undefined ? parseNumberArg(arg, 'node migrate.js up [targetVersion]') : undefined;
+      const applied = await migrateUp(pool, { target });
+      console.log(applied.length
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database schema is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = arg !== undefined ? parseNumberArg(arg, 'node migrate.js down [steps]') : 1;
+      const reverted = await migrateDown(pool, { steps });
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+    case 'status': {
+      const status = await migrationStatus(pool);
+      status.forEach(migration => {
+        const state = migration.applied
+          ? `applied ${new Date(migration.applied_at).toISOString()}`
+          : 'pending';
+        const note = migration.missing ? ' (script missing)' : '';
+        console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}: ${state}${note}`);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async err => {
+    console.error('❌', err.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS devices;
+DROP TABLE IF EXISTS device_prayers;
+DROP TABLE IF EXISTS prayer_requests;
+DROP TABLE IF EXISTS prayer_topics;
@@ -1,4 +1,7 @@
--- Create prayer_topics table
+-- Initial schema: prayer topics, prayer requests, device participation and push devices.
+-- Written to be safe against databases created by the old /api/init-database and
+-- /api/migrate-database endpoints, so existing production data is left untouched.
+
 CREATE TABLE IF NOT EXISTS prayer_topics (
     id SERIAL PRIMARY KEY,
     title VARCHAR(255) NOT NULL,
@@ -7,7 +10,6 @@ CREATE TABLE IF NOT EXISTS prayer_topics (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create prayer_requests table
 CREATE TABLE IF NOT EXISTS prayer_requests (
     id SERIAL PRIMARY KEY,
     topic_id INTEGER NOT NULL REFERENCES prayer_topics(id),
@@ -19,7 +21,11 @@ CREATE TABLE IF NOT EXISTS prayer_requests (
     expires_at TIMESTAMP NOT NULL
 );
 
--- Create device_prayers table to track which devices are praying for which requests
+-- Databases created before device ID support are missing these columns
+ALTER TABLE prayer_requests ADD COLUMN IF NOT EXISTS device_id VARCHAR(255);
+ALTER TABLE prayer_requests ADD COLUMN IF NOT EXISTS description TEXT;
+
+-- Tracks which devices are praying for which requests
 CREATE TABLE IF NOT EXISTS device_prayers (
     id SERIAL PRIMARY KEY,
     device_id VARCHAR(255) NOT NULL,
@@ -29,11 +35,25 @@ CREATE TABLE IF NOT EXISTS device_prayers (
     UNIQUE(device_id, prayer_request_id)
 );
 
--- Insert prayer topics data
+-- Push tokens for notifications
+CREATE TABLE IF NOT EXISTS devices (
+    id SERIAL PRIMARY KEY,
+    device_id VARCHAR(255) UNIQUE NOT NULL,
+    push_token TEXT,
+    platform VARCHAR(20) NOT NULL,
+    last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 INSERT INTO prayer_topics (id, title, category, parent_id) VALUES
     (1, 'Job', 'main', NULL),
     (16, 'I just lost my job', 'job', 1),
     (17, 'I need a job', 'job', 1),
+    (21, 'Family member needs a job', 'job', 1),
+    (22, 'Friend needs a job', 'job', 1),
+    (23, 'Work place drama', 'job', 1),
+    (24, 'Boss issue', 'job', 1),
+    (25, 'Stress', 'job', 1),
     (2, 'Finances', 'main', NULL),
     (18, 'Budget Help', 'Finances', 2),
     (19, 'Work - Raise', 'Finances', 2),
@@ -50,16 +70,23 @@ INSERT INTO prayer_topics (id, title, category, parent_id) VALUES
     (13, 'Health - Parent', 'health', 10),
     (14, 'Health - Child', 'health', 10),
     (20, 'Pregnancy', 'health', 10),
+    (26, 'Health - Self', 'health', 10),
+    (27, 'Depression', 'main', NULL),
+    (28, 'Depression - Self', 'depression', 27),
+    (29, 'Depression - Spouse', 'depression', 27),
+    (30, 'Depression - Friend', 'depression', 27),
+    (31, 'Depression - Parent', 'depression', 27),
+    (32, 'Depression - Child', 'depression', 27),
     (15, 'Other - God will know', 'main', NULL)
 ON CONFLICT (id) DO NOTHING;
 
--- Update sequence to avoid conflicts
+-- Topics are inserted with explicit ids, so move the sequence past them
 SELECT setval('prayer_topics_id_seq', (SELECT MAX(id) FROM prayer_topics));
 
--- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_prayer_requests_expires_at ON prayer_requests(expires_at);
 CREATE INDEX IF NOT EXISTS idx_prayer_requests_topic_id ON prayer_requests(topic_id);
 CREATE INDEX IF NOT EXISTS idx_prayer_requests_device_id ON prayer_requests(device_id);
 CREATE INDEX IF NOT EXISTS idx_prayer_topics_parent_id ON prayer_topics(parent_id);
 CREATE INDEX IF NOT EXISTS idx_device_prayers_device_id ON device_prayers(device_id);
 CREATE INDEX IF NOT EXISTS idx_device_prayers_request_id ON device_prayers(prayer_request_id);
+CREATE INDEX IF NOT EXISTS idx_devices_last_active ON devices(last_active);
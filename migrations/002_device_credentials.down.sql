@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_devices_credential_hash;
+ALTER TABLE devices DROP COLUMN IF EXISTS credential_issued_at;
+ALTER TABLE devices DROP COLUMN IF EXISTS credential_hash;
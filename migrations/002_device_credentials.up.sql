@@ -0,0 +1,5 @@
+-- Device secrets issued by /api/register-device. Only a SHA-256 hash is stored.
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS credential_hash VARCHAR(64);
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS credential_issued_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_devices_credential_hash ON devices(credential_hash);
@@ -0,0 +1,21 @@
+-- Per-device prayer sessions. A session is live while ended_at IS NULL and the device keeps
+-- sending heartbeats; prayer_requests.active_prayers is recomputed from live sessions.
+CREATE TABLE IF NOT EXISTS prayer_sessions (
+    id SERIAL PRIMARY KEY,
+    device_id VARCHAR(255) NOT NULL,
+    prayer_request_id INTEGER NOT NULL REFERENCES prayer_requests(id) ON DELETE CASCADE,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_heartbeat_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP,
+    end_reason VARCHAR(20)
+);
+
+-- One live session per device and request, so holding the button twice counts once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prayer_sessions_live
+    ON prayer_sessions(device_id, prayer_request_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_prayer_sessions_heartbeat
+    ON prayer_sessions(last_heartbeat_at) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_prayer_sessions_request_id ON prayer_sessions(prayer_request_id);
+
+-- The old raw counters have no sessions behind them, so they start again from zero
+UPDATE prayer_requests SET active_prayers = 0;
@@ -0,0 +1,26 @@
+-- One row per scheduler job. The row doubles as a cross-instance lock: an instance
+-- claims a run by setting locked_until, and claims a scheduled tick by advancing
+-- last_scheduled_for. Tick times use TIMESTAMPTZ because they are computed in UTC
+-- by the application rather than by NOW().
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name VARCHAR(100) PRIMARY KEY,
+    last_scheduled_for TIMESTAMPTZ,
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP
+);
+
+-- Run history for every scheduled or manual job run
+CREATE TABLE IF NOT EXISTS job_runs (
+    id SERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    trigger VARCHAR(20) NOT NULL,
+    scheduled_for TIMESTAMPTZ,
+    instance_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    result JSONB,
+    error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_name_started_at ON job_runs(job_name, started_at DESC);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS archived_device_prayers;
+DROP TABLE IF EXISTS archived_prayer_requests;
@@ -0,0 +1,26 @@
+-- Expired prayer requests are moved here (keeping their ids) instead of being deleted,
+-- together with the device participation rows that used to be lost to the cascade.
+CREATE TABLE IF NOT EXISTS archived_prayer_requests (
+    id INTEGER PRIMARY KEY,
+    topic_id INTEGER NOT NULL REFERENCES prayer_topics(id),
+    device_id VARCHAR(255),
+    description TEXT,
+    prayer_count INTEGER DEFAULT 0,
+    completed_prayers INTEGER DEFAULT 0,
+    created_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS archived_device_prayers (
+    id INTEGER PRIMARY KEY,
+    device_id VARCHAR(255) NOT NULL,
+    prayer_request_id INTEGER NOT NULL REFERENCES archived_prayer_requests(id) ON DELETE CASCADE,
+    joined_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    UNIQUE(device_id, prayer_request_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_archived_prayer_requests_device_id ON archived_prayer_requests(device_id);
+CREATE INDEX IF NOT EXISTS idx_archived_prayer_requests_topic_id ON archived_prayer_requests(topic_id);
+CREATE INDEX IF NOT EXISTS idx_archived_device_prayers_device_id ON archived_device_prayers(device_id);
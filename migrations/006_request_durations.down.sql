@@ -0,0 +1,3 @@
+ALTER TABLE prayer_topics DROP COLUMN IF EXISTS default_duration_hours;
+ALTER TABLE prayer_topics DROP COLUMN IF EXISTS max_duration_hours;
+ALTER TABLE prayer_topics DROP COLUMN IF EXISTS min_duration_hours;
@@ -0,0 +1,10 @@
+-- Per-topic bounds for how long a prayer request stays open, in hours. NULL means
+-- "inherit from the main category", and a main category's NULL falls back to the
+-- server-wide PRAYER_REQUEST_*_HOURS settings.
+ALTER TABLE prayer_topics ADD COLUMN IF NOT EXISTS min_duration_hours INTEGER;
+ALTER TABLE prayer_topics ADD COLUMN IF NOT EXISTS max_duration_hours INTEGER;
+ALTER TABLE prayer_topics ADD COLUMN IF NOT EXISTS default_duration_hours INTEGER;
+
+-- Job searches and health needs usually last longer than a day
+UPDATE prayer_topics SET max_duration_hours = 720 WHERE id = 1 AND max_duration_hours IS NULL;
+UPDATE prayer_topics SET max_duration_hours = 336 WHERE id = 10 AND max_duration_hours IS NULL;
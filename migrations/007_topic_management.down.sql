@@ -0,0 +1,3 @@
+ALTER TABLE prayer_topics DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE prayer_topics DROP COLUMN IF EXISTS retired_at;
+ALTER TABLE prayer_topics DROP COLUMN IF EXISTS sort_order;
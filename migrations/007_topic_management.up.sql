@@ -0,0 +1,12 @@
+-- Topics are now managed through the admin API. sort_order orders main categories
+-- and, separately, the subtopics within each main category. Retired topics are hidden
+-- from GET /api/prayer-topics and can't be used for new requests, but rows stay so
+-- existing and archived requests keep their topic.
+ALTER TABLE prayer_topics ADD COLUMN IF NOT EXISTS sort_order INTEGER;
+ALTER TABLE prayer_topics ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP;
+ALTER TABLE prayer_topics ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Keep the existing id-based order
+UPDATE prayer_topics SET sort_order = id WHERE sort_order IS NULL;
+ALTER TABLE prayer_topics ALTER COLUMN sort_order SET DEFAULT 0;
+ALTER TABLE prayer_topics ALTER COLUMN sort_order SET NOT NULL;
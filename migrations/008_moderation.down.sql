@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS held_broadcasts;
+DROP INDEX IF EXISTS idx_prayer_requests_moderation_queue;
+ALTER TABLE prayer_requests DROP COLUMN IF EXISTS moderation_note;
+ALTER TABLE prayer_requests DROP COLUMN IF EXISTS moderated_by;
+ALTER TABLE prayer_requests DROP COLUMN IF EXISTS moderated_at;
+ALTER TABLE prayer_requests DROP COLUMN IF EXISTS moderation_flags;
+ALTER TABLE prayer_requests DROP COLUMN IF EXISTS moderation_status;
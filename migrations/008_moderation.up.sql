@@ -0,0 +1,20 @@
+-- Requests whose description trips the moderation filter are held as "pending"
+-- until an admin approves or rejects them. Only approved requests are public.
+ALTER TABLE prayer_requests ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20) NOT NULL DEFAULT 'approved'
+  CHECK (moderation_status IN ('pending', 'approved', 'rejected'));
+ALTER TABLE prayer_requests ADD COLUMN IF NOT EXISTS moderation_flags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE prayer_requests ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP;
+ALTER TABLE prayer_requests ADD COLUMN IF NOT EXISTS moderated_by VARCHAR(255);
+ALTER TABLE prayer_requests ADD COLUMN IF NOT EXISTS moderation_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_prayer_requests_moderation_queue
+  ON prayer_requests(created_at) WHERE moderation_status = 'pending';
+
+-- Broadcasts asked for while their request is still pending; sent on approval
+CREATE TABLE IF NOT EXISTS held_broadcasts (
+    prayer_request_id INTEGER PRIMARY KEY REFERENCES prayer_requests(id) ON DELETE CASCADE,
+    requester_name VARCHAR(255) NOT NULL,
+    prayer_text TEXT NOT NULL,
+    requester_device_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
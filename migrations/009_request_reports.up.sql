@@ -0,0 +1,12 @@
+-- Reports from devices about abusive prayer requests. Each device may report a request once;
+-- enough reports since the last moderation decision hide the request for admin review.
+CREATE TABLE IF NOT EXISTS prayer_request_reports (
+    id SERIAL PRIMARY KEY,
+    prayer_request_id INTEGER NOT NULL REFERENCES prayer_requests(id) ON DELETE CASCADE,
+    device_id VARCHAR(255) NOT NULL,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(prayer_request_id, device_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prayer_request_reports_created_at ON prayer_request_reports(created_at);
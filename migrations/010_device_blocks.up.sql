@@ -0,0 +1,11 @@
+-- Per-device block list. A device never sees requests from, or gets new-request
+-- pushes for, the devices it has blocked.
+CREATE TABLE IF NOT EXISTS device_blocks (
+    device_id VARCHAR(255) NOT NULL,
+    blocked_device_id VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (device_id, blocked_device_id)
+);
+
+-- Fan-out looks blocks up by the requester
+CREATE INDEX IF NOT EXISTS idx_device_blocks_blocked_device_id ON device_blocks(blocked_device_id);
@@ -0,0 +1,7 @@
+ALTER TABLE devices DROP COLUMN IF EXISTS time_zone;
+ALTER TABLE devices DROP COLUMN IF EXISTS quiet_hours_end;
+ALTER TABLE devices DROP COLUMN IF EXISTS quiet_hours_start;
+ALTER TABLE devices DROP COLUMN IF EXISTS main_category_ids;
+ALTER TABLE devices DROP COLUMN IF EXISTS notify_reminders;
+ALTER TABLE devices DROP COLUMN IF EXISTS notify_joins;
+ALTER TABLE devices DROP COLUMN IF EXISTS notify_new_requests;
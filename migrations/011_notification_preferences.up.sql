@@ -0,0 +1,10 @@
+-- Per-device notification preferences. Every notification type is on by default;
+-- main_category_ids NULL means "new requests in every category". Quiet hours are
+-- local times in the device's IANA time_zone (UTC when unset) and may wrap midnight.
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS notify_new_requests BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS notify_joins BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS notify_reminders BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS main_category_ids INTEGER[];
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS quiet_hours_start TIME;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS quiet_hours_end TIME;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64);
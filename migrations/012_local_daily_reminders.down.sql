@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS daily_reminder_deliveries;
+ALTER TABLE devices DROP COLUMN IF EXISTS reminder_time;
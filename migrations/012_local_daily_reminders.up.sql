@@ -0,0 +1,13 @@
+-- Daily reminders go out at each device's preferred local time (reminder_time in its
+-- time_zone). Each delivery is recorded per device and local date, so a device gets
+-- at most one reminder a day however often the job runs.
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS reminder_time TIME;
+
+CREATE TABLE IF NOT EXISTS daily_reminder_deliveries (
+    device_id VARCHAR(255) NOT NULL,
+    reminder_date DATE NOT NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (device_id, reminder_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daily_reminder_deliveries_sent_at ON daily_reminder_deliveries(sent_at);
@@ -0,0 +1,5 @@
+ALTER TABLE devices DROP COLUMN IF EXISTS push_token_invalid_reason;
+ALTER TABLE devices DROP COLUMN IF EXISTS push_token_invalidated_at;
+ALTER TABLE devices DROP COLUMN IF EXISTS last_delivery_error;
+ALTER TABLE devices DROP COLUMN IF EXISTS last_delivery_status;
+ALTER TABLE devices DROP COLUMN IF EXISTS last_delivery_at;
@@ -0,0 +1,8 @@
+-- Outcome of the last push to each device. Tokens FCM reports as unregistered or malformed
+-- are cleared, keeping when and why, so broadcasts stop retrying them; registering a new
+-- token resets the invalidation.
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS last_delivery_at TIMESTAMP;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS last_delivery_status VARCHAR(20);
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS last_delivery_error VARCHAR(100);
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS push_token_invalidated_at TIMESTAMP;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS push_token_invalid_reason VARCHAR(100);
@@ -0,0 +1,4 @@
+-- Browser clients register a Web Push subscription with platform 'web'. Its endpoint is
+-- stored as the push token, so fan-out and token cleanup treat it like any other device;
+-- the keys it is encrypted with live here.
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS web_push_keys JSONB;
@@ -0,0 +1,12 @@
+-- Joins are announced to the requester by /join itself. The first join is pushed right
+-- away; later ones are counted here and sent as one digest once JOIN_DIGEST_WINDOW_MINUTES
+-- have passed since the last notification.
+CREATE TABLE IF NOT EXISTS join_notifications (
+    prayer_request_id INTEGER PRIMARY KEY REFERENCES prayer_requests(id) ON DELETE CASCADE,
+    pending_joins INTEGER NOT NULL DEFAULT 0,
+    first_pending_at TIMESTAMP,
+    last_joiner_device_id VARCHAR(255),
+    notified_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_join_notifications_pending ON join_notifications(notified_at) WHERE pending_joins > 0;
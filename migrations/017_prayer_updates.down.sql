@@ -0,0 +1,4 @@
+ALTER TABLE devices DROP COLUMN IF EXISTS notify_updates;
+DROP TABLE IF EXISTS prayer_request_updates;
+ALTER TABLE archived_prayer_requests DROP COLUMN IF EXISTS answered_at;
+ALTER TABLE prayer_requests DROP COLUMN IF EXISTS answered_at;
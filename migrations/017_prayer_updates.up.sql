@@ -0,0 +1,18 @@
+-- Requesters can post progress updates on their request and mark it answered with an
+-- optional testimony. Updates aren't tied to prayer_requests by a foreign key so they
+-- survive the request being archived.
+ALTER TABLE prayer_requests ADD COLUMN IF NOT EXISTS answered_at TIMESTAMP;
+ALTER TABLE archived_prayer_requests ADD COLUMN IF NOT EXISTS answered_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS prayer_request_updates (
+    id SERIAL PRIMARY KEY,
+    prayer_request_id INTEGER NOT NULL,
+    kind VARCHAR(20) NOT NULL DEFAULT 'update',
+    message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_prayer_request_updates_prayer_request_id ON prayer_request_updates(prayer_request_id);
+
+-- Devices that joined a request are told about its updates unless they opt out
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS notify_updates BOOLEAN NOT NULL DEFAULT true;
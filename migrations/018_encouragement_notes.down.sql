@@ -0,0 +1,2 @@
+ALTER TABLE devices DROP COLUMN IF EXISTS notify_notes;
+DROP TABLE IF EXISTS encouragement_notes;
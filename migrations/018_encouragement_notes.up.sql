@@ -0,0 +1,29 @@
+-- Short notes prayer warriors attach to a request they joined. The requester sees them
+-- in an inbox without the sender's identity and may reply once. Notes that trip the
+-- moderation filter are held as "pending" until an admin approves them. Like prayer
+-- updates, notes aren't tied to prayer_requests by a foreign key so they survive the
+-- request being archived; the requester's device is stored on the note for the inbox.
+CREATE TABLE IF NOT EXISTS encouragement_notes (
+    id SERIAL PRIMARY KEY,
+    prayer_request_id INTEGER NOT NULL,
+    requester_device_id VARCHAR(255) NOT NULL,
+    sender_device_id VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    signature VARCHAR(40),
+    moderation_status VARCHAR(20) NOT NULL DEFAULT 'approved'
+      CHECK (moderation_status IN ('pending', 'approved', 'rejected')),
+    moderation_flags TEXT[] NOT NULL DEFAULT '{}',
+    moderated_at TIMESTAMP,
+    moderated_by VARCHAR(255),
+    reply TEXT,
+    replied_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_encouragement_notes_prayer_request_id ON encouragement_notes(prayer_request_id);
+CREATE INDEX IF NOT EXISTS idx_encouragement_notes_requester ON encouragement_notes(requester_device_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_encouragement_notes_sender ON encouragement_notes(sender_device_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_encouragement_notes_moderation_queue
+  ON encouragement_notes(created_at) WHERE moderation_status = 'pending';
+
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS notify_notes BOOLEAN NOT NULL DEFAULT true;
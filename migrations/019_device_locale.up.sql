@@ -0,0 +1,2 @@
+-- Language of the device's push notifications as a BCP 47 tag ("es", "pt-BR"). NULL means English.
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS locale VARCHAR(35);
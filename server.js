@@ -3,36 +3,105 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const { Pool } = require('pg');
-const admin = require('firebase-admin');
 require('dotenv').config();
+const pool = require('./lib/db');
+const { HttpError } = require('./lib/httpError');
+const { migrateUp, migrationStatus } = require('./lib/migrations');
+const { requireAdmin } = require('./lib/adminAuth');
+const {
+  DEVICE_AUTH_MODE,
+  DEVICE_TOKEN_HEADER,
+  findDeviceByToken,
+  issueDeviceCredential,
+  publicDeviceRow,
+  requireDevice,
+} = require('./lib/deviceAuth');
+const { openEventStream, publish, publishCounts, startRealtime } = require('./lib/realtime');
+const {
+  SESSION_TIMEOUT_SECONDS,
+  endAllSessions,
+  endSession,
+  heartbeatSession,
+  startSession,
+  startSessionReaper,
+} = require('./lib/prayerSessions');
+const { FeedQueryError, LEGACY_FEED_OPTIONS, buildFeedPage, buildFeedQuery, parseFeedOptions } = require('./lib/feed');
+const { EFFECTIVE_DURATION_COLUMNS, durationBounds, getTopicDurationBounds } = require('./lib/requestLifetime');
+const {
+  TOPIC_ORDER,
+  createTopic,
+  isTopicAvailable,
+  listAllTopics,
+  reorderTopics,
+  setTopicRetired,
+  updateTopic,
+} = require('./lib/topics');
+const {
+  MODERATION_STATUSES,
+  checkText,
+  holdBroadcast,
+  holdForReview,
+  listModerationQueue,
+  queueHeldBroadcast,
+  setModerationStatus,
+  takeHeldBroadcast,
+} = require('./lib/moderation');
+const {
+  REASON_MAX_LENGTH,
+  REPORTS_PER_IP_PER_HOUR,
+  REPORT_HIDE_THRESHOLD,
+  listReportedRequests,
+  recordReport,
+} = require('./lib/reports');
+const { blockDevice, listBlocks, unblockDevice } = require('./lib/blocks');
+const {
+  buildPreferenceChanges,
+  getCategorySubscriptions,
+  getPreferences,
+  savePreferenceChanges,
+  updatePreferences,
+  wantsNotification,
+} = require('./lib/notificationPreferences');
+const { pruneReminderDeliveries, queueDueReminders } = require('./lib/dailyReminders');
+const { claimDueJoins, digestPeriod, recordJoin } = require('./lib/joinNotifications');
+const {
+  addUpdate,
+  findUpdateRecipients,
+  getUpdateTimelines,
+  markAnswered,
+  validateMessage,
+} = require('./lib/prayerUpdates');
+const {
+  createNote,
+  findNoteRecipient,
+  findReplyRecipient,
+  listInbox,
+  listNoteModerationQueue,
+  listSentNotes,
+  replyToNote,
+  setNoteModerationStatus,
+  validateNote,
+  validateReply,
+} = require('./lib/encouragementNotes');
+const {
+  NOTIFICATION_STATUSES,
+  deliverNotifications,
+  enqueueNotifications,
+  getNotification,
+  listNotifications,
+  pruneNotifications,
+} = require('./lib/outbox');
+const { translate } = require('./lib/i18n');
+const { parseWebPushSubscription } = require('./lib/push');
+const { createPushTransport } = require('./lib/pushTransport');
+const { tokenHealthReport } = require('./lib/tokenHealth');
+const { defineJob, hasJob, listJobRuns, listJobs, pruneJobRuns, runJob, startScheduler } = require('./lib/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Firebase Admin SDK
-let firebaseAdmin = null;
-if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-  try {
-    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-    firebaseAdmin = admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-    });
-    console.log('✅ Firebase Admin SDK initialized');
-  } catch (error) {
-    console.warn('⚠️ Firebase Admin SDK initialization failed:', error.message);
-    console.log('📱 Push notifications will be disabled');
-  }
-} else {
-  console.warn('⚠️ FIREBASE_SERVICE_ACCOUNT not found in environment variables');
-  console.log('📱 Push notifications will be disabled');
-}
-
-// Database connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+// Push transport chosen by PUSH_TRANSPORT (FCM by default); null when it isn't configured
+const pushTransport = createPushTransport();
 
 // Middleware
 app.use(helmet());
@@ -51,6 +120,13 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Reports can hide a request, so they get a much tighter per-IP limit
+const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: REPORTS_PER_IP_PER_HOUR,
+  message: { error: 'Too many reports from this IP, please try again later' }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -60,124 +136,18 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Initialize database (create tables and insert data)
-app.post('/api/init-database', async (req, res) => {
+// Apply pending schema migrations. Both paths are kept for deploy scripts that still
+// call them; migrations also run on startup and via `npm run migrate`.
+app.post(['/api/init-database', '/api/migrate-database'], requireAdmin('maintenance'), async (req, res) => {
   try {
-    // Create prayer_topics table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS prayer_topics (
-        id SERIAL PRIMARY KEY,
-        title VARCHAR(255) NOT NULL,
-        category VARCHAR(100) NOT NULL,
-        parent_id INTEGER REFERENCES prayer_topics(id),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create prayer_requests table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS prayer_requests (
-        id SERIAL PRIMARY KEY,
-        topic_id INTEGER NOT NULL REFERENCES prayer_topics(id),
-        device_id VARCHAR(255),
-        description TEXT,
-        prayer_count INTEGER DEFAULT 0,
-        active_prayers INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        expires_at TIMESTAMP NOT NULL
-      )
-    `);
-
-    // Create device_prayers table to track which devices are praying for which requests
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS device_prayers (
-        id SERIAL PRIMARY KEY,
-        device_id VARCHAR(255) NOT NULL,
-        prayer_request_id INTEGER NOT NULL REFERENCES prayer_requests(id) ON DELETE CASCADE,
-        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        completed_at TIMESTAMP,
-        UNIQUE(device_id, prayer_request_id)
-      )
-    `);
-
-    // Create devices table to store push tokens for notifications
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS devices (
-        id SERIAL PRIMARY KEY,
-        device_id VARCHAR(255) UNIQUE NOT NULL,
-        push_token TEXT,
-        platform VARCHAR(20) NOT NULL,
-        last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Insert prayer topics data
-    await pool.query(`
-      INSERT INTO prayer_topics (id, title, category, parent_id) VALUES
-        (1, 'Job', 'main', NULL),
-        (16, 'I just lost my job', 'job', 1),
-        (17, 'I need a job', 'job', 1),
-        (21, 'Family member needs a job', 'job', 1),
-        (22, 'Friend needs a job', 'job', 1),
-        (23, 'Work place drama', 'job', 1),
-        (24, 'Boss issue', 'job', 1),
-        (25, 'Stress', 'job', 1),
-        (2, 'Finances', 'main', NULL),
-        (18, 'Budget Help', 'Finances', 2),
-        (19, 'Work - Raise', 'Finances', 2),
-        (3, 'Spouse', 'main', NULL),
-        (4, 'Spouse - Infidelity', 'spouse', 3),
-        (5, 'Spouse - Divorce', 'spouse', 3),
-        (6, 'Spouse - Death', 'spouse', 3),
-        (7, 'Children', 'main', NULL),
-        (8, 'Children - Defiance', 'children', 7),
-        (9, 'Children - School', 'children', 7),
-        (10, 'Health', 'main', NULL),
-        (11, 'Health - Spouse', 'health', 10),
-        (12, 'Health - Friend', 'health', 10),
-        (13, 'Health - Parent', 'health', 10),
-        (14, 'Health - Child', 'health', 10),
-        (20, 'Pregnancy', 'health', 10),
-        (26, 'Health - Self', 'health', 10),
-        (27, 'Depression', 'main', NULL),
-        (28, 'Depression - Self', 'depression', 27),
-        (29, 'Depression - Spouse', 'depression', 27),
-        (30, 'Depression - Friend', 'depression', 27),
-        (31, 'Depression - Parent', 'depression', 27),
-        (32, 'Depression - Child', 'depression', 27),
-        (15, 'Other - God will know', 'main', NULL)
-      ON CONFLICT (id) DO NOTHING
-    `);
-
-    // Update sequence to avoid conflicts
-    await pool.query(`
-      SELECT setval('prayer_topics_id_seq', (SELECT MAX(id) FROM prayer_topics))
-    `);
-
-    // Create indexes for better performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_prayer_requests_expires_at ON prayer_requests(expires_at)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_prayer_requests_topic_id ON prayer_requests(topic_id)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_prayer_requests_device_id ON prayer_requests(device_id)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_prayer_topics_parent_id ON prayer_topics(parent_id)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_device_prayers_device_id ON device_prayers(device_id)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_device_prayers_request_id ON device_prayers(prayer_request_id)
-    `);
+    const applied = await migrateUp(pool);
+    const status = await migrationStatus(pool);
 
     res.status(200).json({ 
       success: true, 
-      message: 'Database initialized successfully',
+      message: applied.length ? `Applied ${applied.length} migration(s)` : 'Database schema is up to date',
+      applied,
+      migrations: status,
       timestamp: new Date().toISOString()
     });
   } catch (err) {
@@ -190,74 +160,6 @@ app.post('/api/init-database', async (req, res) => {
   }
 });
 
-// Migrate existing database to support device IDs
-app.post('/api/migrate-database', async (req, res) => {
-  try {
-    // Add device_id and description columns to existing prayer_requests table
-    await pool.query(`
-      ALTER TABLE prayer_requests ADD COLUMN IF NOT EXISTS device_id VARCHAR(255)
-    `);
-    
-    await pool.query(`
-      ALTER TABLE prayer_requests ADD COLUMN IF NOT EXISTS description TEXT
-    `);
-
-    // Create device_prayers table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS device_prayers (
-        id SERIAL PRIMARY KEY,
-        device_id VARCHAR(255) NOT NULL,
-        prayer_request_id INTEGER NOT NULL REFERENCES prayer_requests(id) ON DELETE CASCADE,
-        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        completed_at TIMESTAMP,
-        UNIQUE(device_id, prayer_request_id)
-      )
-    `);
-
-    // Create devices table for push notifications
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS devices (
-        id SERIAL PRIMARY KEY,
-        device_id VARCHAR(255) UNIQUE NOT NULL,
-        push_token TEXT,
-        platform VARCHAR(20) NOT NULL,
-        last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create new indexes for better performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_prayer_requests_device_id ON prayer_requests(device_id)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_device_prayers_device_id ON device_prayers(device_id)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_device_prayers_request_id ON device_prayers(prayer_request_id)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_devices_device_id ON devices(device_id)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_devices_last_active ON devices(last_active)
-    `);
-
-    res.status(200).json({ 
-      success: true, 
-      message: 'Database migration completed successfully',
-      timestamp: new Date().toISOString()
-    });
-  } catch (err) {
-    console.error('Error migrating database:', err);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to migrate database',
-      details: err.message 
-    });
-  }
-});
-
 // Get all prayer topics with categories
 app.get('/api/prayer-topics', async (req, res) => {
   try {
@@ -267,13 +169,12 @@ app.get('/api/prayer-topics', async (req, res) => {
         pt.title,
         pt.category,
         pt.parent_id,
-        CASE WHEN pt.parent_id IS NULL THEN pt.title ELSE p.title END as main_category
+        CASE WHEN pt.parent_id IS NULL THEN pt.title ELSE p.title END as main_category,
+        ${EFFECTIVE_DURATION_COLUMNS}
       FROM prayer_topics pt
       LEFT JOIN prayer_topics p ON pt.parent_id = p.id
-      ORDER BY 
-        CASE WHEN pt.parent_id IS NULL THEN pt.id ELSE pt.parent_id END,
-        pt.parent_id IS NULL DESC,
-        pt.id
+      WHERE pt.retired_at IS NULL AND p.retired_at IS NULL
+      ORDER BY ${TOPIC_ORDER}
     `);
     
     // Group by main categories
@@ -291,8 +192,11 @@ app.get('/api/prayer-topics', async (req, res) => {
       if (topic.parent_id) {
         categorized[mainCat].subcategories.push({
           id: topic.id,
-          title: topic.title
+          title: topic.title,
+          duration_hours: durationBounds(topic)
         });
+      } else {
+        categorized[mainCat].duration_hours = durationBounds(topic);
       }
     });
     
@@ -303,60 +207,208 @@ app.get('/api/prayer-topics', async (req, res) => {
   }
 });
 
+// ========== ADMIN: PRAYER TOPICS ==========
+
+function handleTopicError(res, err, action) {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`Error ${action}:`, err);
+  res.status(500).json({ error: 'Internal server error' });
+}
+
+// List every topic, retired ones included
+app.get('/api/admin/topics', requireAdmin('topics'), async (req, res) => {
+  try {
+    res.json(await listAllTopics());
+  } catch (err) {
+    handleTopicError(res, err, 'fetching topics');
+  }
+});
+
+// Create a main category (no parent_id) or a subtopic
+app.post('/api/admin/topics', requireAdmin('topics'), async (req, res) => {
+  try {
+    const topic = await createTopic(req.body);
+    console.log(`🏷️ Topic created: ${topic.id} "${topic.title}" by ${req.admin.name}`);
+    res.status(201).json(topic);
+  } catch (err) {
+    handleTopicError(res, err, 'creating topic');
+  }
+});
+
+// Set the order of main categories (parent_id null) or of one category's subtopics
+app.post('/api/admin/topics/reorder', requireAdmin('topics'), async (req, res) => {
+  const { parent_id = null, topic_ids } = req.body;
+  
+  try {
+    const ordered = await reorderTopics(parent_id, topic_ids);
+    res.json({ success: true, parent_id, topic_ids: ordered });
+  } catch (err) {
+    handleTopicError(res, err, 'reordering topics');
+  }
+});
+
+// Rename, reparent, reorder or change duration bounds
+app.patch('/api/admin/topics/:id', requireAdmin('topics'), async (req, res) => {
+  try {
+    const topic = await updateTopic(Number(req.params.id), req.body);
+    console.log(`🏷️ Topic updated: ${topic.id} "${topic.title}" by ${req.admin.name}`);
+    res.json(topic);
+  } catch (err) {
+    handleTopicError(res, err, 'updating topic');
+  }
+});
+
+// Retire a topic. Existing requests keep it; it disappears from the topic list.
+app.delete('/api/admin/topics/:id', requireAdmin('topics'), async (req, res) => {
+  try {
+    const topic = await setTopicRetired(Number(req.params.id), true);
+    console.log(`🏷️ Topic retired: ${topic.id} "${topic.title}" by ${req.admin.name}`);
+    res.json(topic);
+  } catch (err) {
+    handleTopicError(res, err, 'retiring topic');
+  }
+});
+
+// Bring a retired topic back
+app.post('/api/admin/topics/:id/restore', requireAdmin('topics'), async (req, res) => {
+  try {
+    res.json(await setTopicRetired(Number(req.params.id), false));
+  } catch (err) {
+    handleTopicError(res, err, 'restoring topic');
+  }
+});
+
+// Announce a newly visible request to feed subscribers. Descriptions are left out to
+// keep NOTIFY payloads small; clients fetch the full request.
+function publishRequestCreated(prayerRequest) {
+  return publish('prayer_request_created', {
+    id: prayerRequest.id,
+    topic_id: prayerRequest.topic_id,
+    prayer_count: prayerRequest.prayer_count,
+    active_prayers: prayerRequest.active_prayers,
+    created_at: prayerRequest.created_at,
+    expires_at: prayerRequest.expires_at
+  });
+}
+
+// The owner device_id is what later ownership checks (expiry, updates, notes) trust, so a
+// request only gets one from device authentication. Requests without one stay anonymous.
+const authenticateRequestOwner = requireDevice(req => req.body.device_id);
+
 // Submit a prayer request
-app.post('/api/prayer-requests', async (req, res) => {
-  const { topic_id, topicId, description, device_id } = req.body;
+app.post('/api/prayer-requests', (req, res, next) => {
+  if (req.body.device_id || req.get(DEVICE_TOKEN_HEADER)) {
+    return authenticateRequestOwner(req, res, next);
+  }
+  next();
+}, async (req, res) => {
+  const { topic_id, topicId, description, duration_hours, durationHours } = req.body;
+  const device_id = req.deviceId || null;
   
   // Support both naming conventions
   const finalTopicId = topic_id || topicId;
+  const requestedDuration = duration_hours !== undefined ? duration_hours : durationHours;
   
   if (!finalTopicId) {
     return res.status(400).json({ error: 'Topic ID is required' });
   }
   
   try {
-    const result = await pool.query(
-      'INSERT INTO prayer_requests (topic_id, device_id, description, created_at, expires_at) VALUES ($1, $2, $3, NOW(), NOW() + INTERVAL \'24 hours\') RETURNING *',
-      [finalTopicId, device_id, description]
-    );
+    const bounds = await getTopicDurationBounds(finalTopicId);
+    
+    if (!bounds) {
+      return res.status(400).json({ error: 'Unknown topic ID' });
+    }
+    
+    // Retired topics stay valid for existing requests but can't be used for new ones
+    if (!(await isTopicAvailable(finalTopicId))) {
+      return res.status(400).json({ error: 'This topic is no longer available' });
+    }
+    
+    // The requester picks how long the request stays open, within the topic's bounds
+    const finalDuration = requestedDuration === undefined ? bounds.default : Number(requestedDuration);
+    
+    if (!Number.isInteger(finalDuration) || finalDuration < bounds.min || finalDuration > bounds.max) {
+      return res.status(400).json({ 
+        error: `Duration must be a whole number of hours between ${bounds.min} and ${bounds.max}`,
+        duration_hours: bounds
+      });
+    }
+    
+    // Descriptions that trip the moderation filter wait for an admin before going public
+    const moderationFlags = checkText(description);
+    const moderationStatus = moderationFlags.length > 0 ? 'pending' : 'approved';
+    
+    const result = await pool.query(`
+      INSERT INTO prayer_requests (topic_id, device_id, description, created_at, expires_at, moderation_status, moderation_flags)
+      VALUES ($1, $2, $3, NOW(), NOW() + make_interval(hours => $4), $5, $6)
+      RETURNING *
+    `, [finalTopicId, device_id, description, finalDuration, moderationStatus, moderationFlags]);
+    
+    const created = result.rows[0];
+    if (moderationStatus === 'approved') {
+      publishRequestCreated(created);
+    } else {
+      console.log(`🛡️ Prayer request ${created.id} held for review: ${moderationFlags.join(', ')}`);
+    }
     
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(created);
   } catch (err) {
     console.error('Error creating prayer request:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Query-string options that switch GET /api/prayer-requests to the paginated response
+const FEED_PAGINATION_PARAMS = ['limit', 'cursor', 'sort', 'main_category', 'topic_id', 'not_joined'];
+
+// "not_joined=true" filters by the calling device, so it needs device authentication.
+// Devices that identify themselves also have their block list applied.
+const authenticateFeedDevice = requireDevice(req => req.query.device_id);
+
+// A prayer request row as other devices see it, without the requester's device_id
+function publicPrayerRequest({ device_id, ...prayerRequest }) {
+  return prayerRequest;
+}
+
 // Get active prayer requests
-app.get('/api/prayer-requests', async (req, res) => {
+//
+// Without paging options this returns the legacy unbounded array. With any of
+// FEED_PAGINATION_PARAMS it returns { prayer_requests, next_cursor }.
+app.get('/api/prayer-requests', (req, res, next) => {
+  if (req.query.not_joined === 'true' || req.query.device_id || req.get(DEVICE_TOKEN_HEADER)) {
+    return authenticateFeedDevice(req, res, next);
+  }
+  next();
+}, async (req, res) => {
+  const paginated = FEED_PAGINATION_PARAMS.some(name => req.query[name] !== undefined);
+  
   try {
-    const result = await pool.query(`
-      SELECT 
-        pr.id,
-        pr.topic_id,
-        pr.device_id,
-        pr.description,
-        pr.prayer_count,
-        pr.active_prayers,
-        pr.created_at,
-        pr.expires_at,
-        pt.title as topic_title,
-        pt.category,
-        CASE WHEN pt.parent_id IS NULL THEN pt.title ELSE p.title END as main_category
-      FROM prayer_requests pr
-      JOIN prayer_topics pt ON pr.topic_id = pt.id
-      LEFT JOIN prayer_topics p ON pt.parent_id = p.id
-      WHERE pr.expires_at > NOW()
-      ORDER BY pr.created_at DESC
-    `);
+    const options = paginated ? parseFeedOptions(req.query) : LEGACY_FEED_OPTIONS;
+    const query = buildFeedQuery(options, {
+      excludeJoinedBy: req.query.not_joined === 'true' ? req.deviceId : null,
+      excludeBlockedBy: req.deviceId || null
+    });
+    const result = await pool.query(query.text, query.values);
+    const page = buildFeedPage(result.rows, options);
     
-    res.json(result.rows);
+    res.json(paginated ? page : page.prayer_requests);
   } catch (err) {
+    if (err instanceof FeedQueryError) {
+      return res.status(400).json({ error: err.message });
+    }
     console.error('Error fetching prayer requests:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Stream live count changes, new requests and expirations for the whole feed (SSE)
+app.get('/api/prayer-requests/stream', (req, res) => {
+  openEventStream(req, res);
+});
+
 // Get specific prayer request by ID
 app.get('/api/prayer-requests/:id', async (req, res) => {
   const { id } = req.params;
@@ -366,45 +418,133 @@ app.get('/api/prayer-requests/:id', async (req, res) => {
       SELECT 
         pr.id,
         pr.topic_id,
-        pr.device_id,
         pr.description,
         pr.prayer_count,
         pr.active_prayers,
         pr.created_at,
         pr.expires_at,
+        pr.answered_at,
         pt.title as topic_title,
         pt.category,
         CASE WHEN pt.parent_id IS NULL THEN pt.title ELSE p.title END as main_category
       FROM prayer_requests pr
       JOIN prayer_topics pt ON pr.topic_id = pt.id
       LEFT JOIN prayer_topics p ON pt.parent_id = p.id
-      WHERE pr.id = $1 AND pr.expires_at > NOW()
+      WHERE pr.id = $1 AND pr.expires_at > NOW() AND pr.moderation_status = 'approved'
     `, [id]);
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Prayer request not found or expired' });
     }
     
-    res.json(result.rows[0]);
+    const prayerRequest = result.rows[0];
+    const timelines = await getUpdateTimelines([prayerRequest.id]);
+    res.json({ ...prayerRequest, updates: timelines.get(prayerRequest.id) });
   } catch (err) {
     console.error('Error fetching prayer request:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Start praying for a request (join prayer)
-app.post('/api/prayer-requests/:id/join', async (req, res) => {
-  const { id } = req.params;
-  const { device_id } = req.body;
+// Stream live updates for a single prayer request (SSE), starting with its current counts
+app.get('/api/prayer-requests/:id/stream', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
   
-  if (!device_id) {
-    return res.status(400).json({ error: 'Device ID is required' });
+  try {
+    const result = Number.isNaN(id) ? { rows: [] } : await pool.query(
+      `SELECT id, prayer_count, active_prayers FROM prayer_requests WHERE id = $1 AND expires_at > NOW() AND moderation_status = 'approved'`,
+      [id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Prayer request not found or expired' });
+    }
+    
+    openEventStream(req, res, {
+      prayerRequestId: id,
+      initialEvents: [{ type: 'prayer_counts', payload: result.rows[0] }]
+    });
+  } catch (err) {
+    console.error('Error opening prayer request stream:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tell the requester about a new, approved encouragement note
+async function notifyEncouragementNote(note) {
+  const recipient = await findNoteRecipient(note.id);
+  if (!recipient) {
+    return;
+  }
+  
+  const body = `${note.message.substring(0, 80)}${note.message.length > 80 ? '...' : ''}`;
+  
+  await queueNotifications('encouragement_note', [recipient], device => ({
+    title: note.signature
+      ? translate(device.locale, 'encouragement_note.title_signed', { name: note.signature })
+      : translate(device.locale, 'encouragement_note.title'),
+    body
+  }), device => ({
+    type: 'encouragement_note',
+    prayer_request_id: note.prayer_request_id.toString(),
+    note_id: note.id.toString(),
+    device_id: device.device_id, // Recipient device ID
+  }));
+  console.log(`💌 Encouragement note ${note.id} sent to ${recipient.device_id}`);
+}
+
+// Store a note through the moderation filter. Approved notes reach the requester right
+// away; flagged ones wait for an admin. Returns what the sender may see of it.
+async function sendEncouragementNote(prayerRequestId, senderDeviceId, note) {
+  const flags = checkText(note.message, note.signature);
+  const created = await createNote(prayerRequestId, senderDeviceId, note, flags);
+  
+  if (flags.length > 0) {
+    console.log(`🛡️ Encouragement note ${created.id} held for review (${flags.join(', ')})`);
+  } else {
+    notifyEncouragementNote(created).catch(err => console.error('Error sending encouragement note notification:', err));
+  }
+  
+  return {
+    id: created.id,
+    prayer_request_id: created.prayer_request_id,
+    message: created.message,
+    signature: created.signature,
+    moderation_status: created.moderation_status,
+    created_at: created.created_at
+  };
+}
+
+// The note sent along with /join for its response. The join has already happened, so a
+// note that can't be sent (rate limit, database error) is reported as note_error rather
+// than failing the join.
+async function attachJoinNote(prayerRequestId, deviceId, note) {
+  if (!note) {
+    return {};
+  }
+  try {
+    return { note: await sendEncouragementNote(prayerRequestId, deviceId, note) };
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return { note_error: err.message };
+    }
+    console.error('Error sending encouragement note with join:', err);
+    return { note_error: 'Note could not be sent' };
   }
+}
+
+// Start praying for a request (join prayer)
+app.post('/api/prayer-requests/:id/join', requireDevice(req => req.body.device_id), async (req, res) => {
+  const { id } = req.params;
+  const device_id = req.deviceId;
   
   try {
-    // Check if prayer request exists and is not expired
+    // An optional encouragement note is checked before joining so a bad note fails the whole call
+    const note = req.body.note !== undefined ? validateNote({ message: req.body.note, signature: req.body.signature }) : null;
+    
+    // Check if prayer request exists, is not expired and has passed moderation
     const prayerResult = await pool.query(
-      'SELECT * FROM prayer_requests WHERE id = $1 AND expires_at > NOW()',
+      `SELECT * FROM prayer_requests WHERE id = $1 AND expires_at > NOW() AND moderation_status = 'approved'`,
       [id]
     );
     
@@ -412,27 +552,35 @@ app.post('/api/prayer-requests/:id/join', async (req, res) => {
       return res.status(404).json({ error: 'Prayer request not found or expired' });
     }
     
-    // Check if device has already joined this prayer
-    const existingJoin = await pool.query(
-      'SELECT * FROM device_prayers WHERE device_id = $1 AND prayer_request_id = $2',
+    // Add device to prayer tracking; nothing is inserted if it has already joined
+    const newJoin = await pool.query(
+      'INSERT INTO device_prayers (device_id, prayer_request_id) VALUES ($1, $2) ON CONFLICT (device_id, prayer_request_id) DO NOTHING RETURNING id',
       [device_id, id]
     );
     
-    // Only increment prayer_count if this is a new join (device hasn't joined before)
-    if (existingJoin.rows.length === 0) {
-      // Add device to prayer tracking
-      await pool.query(
-        'INSERT INTO device_prayers (device_id, prayer_request_id) VALUES ($1, $2)',
-        [device_id, id]
-      );
-      
-      // Increment prayer_count only for new joins
+    // Only increment prayer_count and notify the requester for new joins
+    if (newJoin.rows.length > 0) {
       const result = await pool.query(
         'UPDATE prayer_requests SET prayer_count = prayer_count + 1 WHERE id = $1 RETURNING *',
         [id]
       );
       
-      res.json(result.rows[0]);
+      publishCounts(result.rows[0]);
+      
+      // Count the join toward the requester's next notification, then send it if one is
+      // due without holding up the response. A join that carries a note stays anonymous,
+      // or the join push would tell the requester who sent the note.
+      const requesterDeviceId = prayerResult.rows[0].device_id;
+      const notifyRequester = requesterDeviceId && requesterDeviceId !== device_id;
+      if (notifyRequester) {
+        await recordJoin(id, note ? null : device_id);
+      }
+      
+      res.json({ ...publicPrayerRequest(result.rows[0]), ...await attachJoinNote(id, device_id, note) });
+      
+      if (notifyRequester) {
+        sendJoinNotifications(id).catch(err => console.error('Error sending join notification:', err));
+      }
     } else {
       // Device already joined - just return current state without incrementing
       const result = await pool.query(
@@ -440,99 +588,298 @@ app.post('/api/prayer-requests/:id/join', async (req, res) => {
         [id]
       );
       
-      res.json(result.rows[0]);
+      res.json({ ...publicPrayerRequest(result.rows[0]), ...await attachJoinNote(id, device_id, note) });
     }
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error('Error joining prayer:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Start actively praying (increment active_prayers when holding button)
-app.post('/api/prayer-requests/:id/start-praying', async (req, res) => {
+// Extend a prayer request or end it early (only the device that created it)
+app.post('/api/prayer-requests/:id/expiry', requireDevice(req => req.body.device_id), async (req, res) => {
   const { id } = req.params;
-  const { device_id } = req.body;
+  const { action, hours } = req.body;
   
-  if (!device_id) {
-    return res.status(400).json({ error: 'Device ID is required' });
+  if (action !== 'extend' && action !== 'end') {
+    return res.status(400).json({ error: 'Action must be "extend" or "end"' });
   }
   
   try {
-    // Just increment active_prayers when user starts holding the button
-    // Don't auto-join here - let the frontend handle joining explicitly
-    const result = await pool.query(
-      'UPDATE prayer_requests SET active_prayers = active_prayers + 1 WHERE id = $1 AND expires_at > NOW() RETURNING *',
-      [id]
-    );
+    const requestResult = await pool.query(`
+      SELECT pr.id, pr.device_id, ${EFFECTIVE_DURATION_COLUMNS}
+      FROM prayer_requests pr
+      JOIN prayer_topics pt ON pr.topic_id = pt.id
+      LEFT JOIN prayer_topics p ON pt.parent_id = p.id
+      WHERE pr.id = $1 AND pr.expires_at > NOW()
+    `, [id]);
     
-    if (result.rows.length === 0) {
+    if (requestResult.rows.length === 0) {
       return res.status(404).json({ error: 'Prayer request not found or expired' });
     }
     
+    const prayerRequest = requestResult.rows[0];
+    
+    if (prayerRequest.device_id !== req.deviceId) {
+      return res.status(403).json({ error: 'Only the device that created this prayer request can change it' });
+    }
+    
+    if (action === 'end') {
+      const result = await pool.query(
+        'UPDATE prayer_requests SET expires_at = NOW() WHERE id = $1 RETURNING *',
+        [id]
+      );
+      
+      publish('prayer_requests_expired', { ids: [result.rows[0].id] });
+      return res.json(result.rows[0]);
+    }
+    
+    const extendHours = Number(hours);
+    if (!Number.isInteger(extendHours) || extendHours < 1) {
+      return res.status(400).json({ error: 'Hours must be a positive whole number' });
+    }
+    
+    // The total lifetime, counted from creation, may not exceed the topic's maximum
+    const bounds = durationBounds(prayerRequest);
+    const result = await pool.query(`
+      UPDATE prayer_requests
+      SET expires_at = expires_at + make_interval(hours => $2)
+      WHERE id = $1 AND expires_at + make_interval(hours => $2) <= created_at + make_interval(hours => $3)
+      RETURNING *
+    `, [id, extendHours, bounds.max]);
+    
+    if (result.rows.length === 0) {
+      return res.status(400).json({ 
+        error: `Prayer requests for this topic can stay open for at most ${bounds.max} hours`,
+        duration_hours: bounds
+      });
+    }
+    
+    publish('prayer_request_expiry_changed', {
+      id: result.rows[0].id,
+      expires_at: result.rows[0].expires_at
+    });
     res.json(result.rows[0]);
   } catch (err) {
-    console.error('Error starting active prayer:', err);
+    console.error('Error changing prayer request expiry:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Legacy endpoint for backward compatibility
-app.post('/api/prayer-requests/:id/pray', async (req, res) => {
+// The live, public request if deviceId created it. Otherwise throws HttpError (404 or 403).
+async function findOwnPrayerRequest(id, deviceId) {
+  const result = await pool.query(
+    `SELECT id, device_id, answered_at FROM prayer_requests WHERE id = $1 AND expires_at > NOW() AND moderation_status = 'approved'`,
+    [id]
+  );
+  
+  if (result.rows.length === 0) {
+    throw new HttpError('Prayer request not found or expired', 404);
+  }
+  if (result.rows[0].device_id !== deviceId) {
+    throw new HttpError('Only the device that created this prayer request can post updates', 403);
+  }
+  return result.rows[0];
+}
+
+// Tell every device that joined the request about a new update or answered prayer
+async function notifyPrayerUpdate(prayerRequest, update) {
+  const devices = await findUpdateRecipients(prayerRequest.id, prayerRequest.device_id);
+  const type = update.kind === 'answered' ? 'prayer_answered' : 'prayer_update';
+  
+  const summary = await queueNotifications(type, devices, device => {
+    const text = update.message || translate(device.locale, 'prayer_answered.body');
+    return {
+      title: translate(device.locale, `${type}.title`),
+      body: `${text.substring(0, 80)}${text.length > 80 ? '...' : ''}`
+    };
+  }, device => ({
+    type: type,
+    prayer_request_id: prayerRequest.id.toString(),
+    update_id: update.id.toString(),
+    device_id: device.device_id, // Recipient device ID
+  }));
+  
+  console.log(`✅ ${type} notifications for prayer ${prayerRequest.id} sent: ${summary.successful_notifications}/${devices.length} successful`);
+}
+
+// Publish a new timeline entry and notify participants without holding up the response
+function announcePrayerUpdate(prayerRequest, update) {
+  publish('prayer_request_updated', {
+    id: prayerRequest.id,
+    answered_at: prayerRequest.answered_at,
+    update
+  });
+  notifyPrayerUpdate(prayerRequest, update).catch(err => console.error('Error sending prayer update notifications:', err));
+}
+
+// Post a progress update on a prayer request (only the device that created it)
+app.post('/api/prayer-requests/:id/updates', requireDevice(req => req.body.device_id), async (req, res) => {
   const { id } = req.params;
   
   try {
-    const result = await pool.query(
-      'UPDATE prayer_requests SET prayer_count = prayer_count + 1, active_prayers = active_prayers + 1 WHERE id = $1 AND expires_at > NOW() RETURNING *',
-      [id]
-    );
+    const message = validateMessage(req.body.message, { field: 'message', required: true });
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Prayer request not found or expired' });
+    if (checkText(message).length > 0) {
+      return res.status(400).json({ error: 'Update text was blocked by moderation' });
     }
     
-    res.json(result.rows[0]);
+    const prayerRequest = await findOwnPrayerRequest(id, req.deviceId);
+    
+    const update = await addUpdate(prayerRequest.id, message);
+    console.log(`📣 Update posted on prayer ${prayerRequest.id}`);
+    
+    res.status(201).json(update);
+    announcePrayerUpdate(prayerRequest, update);
   } catch (err) {
-    console.error('Error updating prayer count:', err);
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error posting prayer update:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Stop praying for a request
-app.post('/api/prayer-requests/:id/stop-praying', async (req, res) => {
+// Mark a prayer request answered, with an optional testimony (only the device that created it)
+app.post('/api/prayer-requests/:id/answered', requireDevice(req => req.body.device_id), async (req, res) => {
   const { id } = req.params;
-  const { device_id } = req.body;
-  
-  if (!device_id) {
-    return res.status(400).json({ error: 'Device ID is required' });
-  }
   
   try {
-    // Just decrement active_prayers when user releases the button
-    // Don't auto-join here - let the frontend handle joining explicitly
-    const result = await pool.query(
-      'UPDATE prayer_requests SET active_prayers = GREATEST(active_prayers - 1, 0) WHERE id = $1 AND expires_at > NOW() RETURNING *',
-      [id]
-    );
+    const testimony = validateMessage(req.body.testimony, { field: 'testimony', required: false });
+    
+    if (checkText(testimony).length > 0) {
+      return res.status(400).json({ error: 'Testimony was blocked by moderation' });
+    }
+    
+    const prayerRequest = await findOwnPrayerRequest(id, req.deviceId);
+    
+    const update = await markAnswered(prayerRequest.id, testimony);
+    if (!update) {
+      return res.status(409).json({ error: 'Prayer request is already marked answered' });
+    }
+    console.log(`🙌 Prayer ${prayerRequest.id} marked answered`);
+    
+    prayerRequest.answered_at = update.created_at;
+    res.status(201).json({ answered_at: prayerRequest.answered_at, update });
+    announcePrayerUpdate(prayerRequest, update);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error marking prayer answered:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send an encouragement note to the requester of a prayer request this device joined
+app.post('/api/prayer-requests/:id/notes', requireDevice(req => req.body.device_id), async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const note = validateNote({ message: req.body.note, signature: req.body.signature });
+    res.status(201).json(await sendEncouragementNote(id, req.deviceId, note));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error sending encouragement note:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start actively praying (open a prayer session while holding the button)
+app.post('/api/prayer-requests/:id/start-praying', requireDevice(req => req.body.device_id), async (req, res) => {
+  const { id } = req.params;
+  const device_id = req.deviceId;
+  
+  try {
+    // Don't auto-join here - let the frontend handle joining explicitly.
+    // Starting again while a session is live only refreshes it, so it never counts double.
+    const prayerRequest = await startSession(device_id, id);
+    
+    if (!prayerRequest) {
+      return res.status(404).json({ error: 'Prayer request not found or expired' });
+    }
+    
+    publishCounts(prayerRequest);
+    res.json(publicPrayerRequest(prayerRequest));
+  } catch (err) {
+    console.error('Error starting active prayer:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Keep a prayer session alive. Sessions without a heartbeat for
+// PRAYER_SESSION_TIMEOUT_SECONDS are ended by the server.
+app.post('/api/prayer-requests/:id/heartbeat', requireDevice(req => req.body.device_id), async (req, res) => {
+  const { id } = req.params;
+  const device_id = req.deviceId;
+  
+  try {
+    const alive = await heartbeatSession(device_id, id);
+    
+    if (!alive) {
+      return res.status(404).json({ error: 'No active prayer session for this device' });
+    }
+    
+    res.json({ success: true, session_timeout_seconds: SESSION_TIMEOUT_SECONDS });
+  } catch (err) {
+    console.error('Error recording prayer heartbeat:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Legacy endpoint for backward compatibility
+app.post('/api/prayer-requests/:id/pray', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    // active_prayers is derived from prayer sessions, which this endpoint has no device for
+    const result = await pool.query(
+      `UPDATE prayer_requests SET prayer_count = prayer_count + 1 WHERE id = $1 AND expires_at > NOW() AND moderation_status = 'approved' RETURNING *`,
+      [id]
+    );
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Prayer request not found or expired' });
     }
     
-    res.json(result.rows[0]);
+    publishCounts(result.rows[0]);
+    res.json(publicPrayerRequest(result.rows[0]));
   } catch (err) {
-    console.error('Error stopping active prayer:', err);
+    console.error('Error updating prayer count:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Complete prayer (remove from user's list)
-app.post('/api/prayer-requests/:id/complete', async (req, res) => {
+// Stop praying for a request
+app.post('/api/prayer-requests/:id/stop-praying', requireDevice(req => req.body.device_id), async (req, res) => {
   const { id } = req.params;
-  const { device_id } = req.body;
+  const device_id = req.deviceId;
   
-  if (!device_id) {
-    return res.status(400).json({ error: 'Device ID is required' });
+  try {
+    // End the device's session when the user releases the button
+    const prayerRequest = await endSession(device_id, id, 'stopped');
+    
+    if (!prayerRequest) {
+      return res.status(404).json({ error: 'Prayer request not found or expired' });
+    }
+    
+    publishCounts(prayerRequest);
+    res.json(publicPrayerRequest(prayerRequest));
+  } catch (err) {
+    console.error('Error stopping active prayer:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
+
+// Complete prayer (remove from user's list)
+app.post('/api/prayer-requests/:id/complete', requireDevice(req => req.body.device_id), async (req, res) => {
+  const { id } = req.params;
+  const device_id = req.deviceId;
   
   try {
     // Mark prayer as completed for this device
@@ -545,12 +892,12 @@ app.post('/api/prayer-requests/:id/complete', async (req, res) => {
       return res.status(404).json({ error: 'Prayer not found for this device or already completed' });
     }
     
-    // Decrease active prayers count
-    await pool.query(
-      'UPDATE prayer_requests SET active_prayers = GREATEST(active_prayers - 1, 0) WHERE id = $1',
-      [id]
-    );
+    // End any prayer session the device still has open
+    const prayerRequest = await endSession(device_id, id, 'completed');
     
+    if (prayerRequest) {
+      publishCounts(prayerRequest);
+    }
     res.json({ message: 'Prayer completed successfully' });
   } catch (err) {
     console.error('Error completing prayer:', err);
@@ -563,8 +910,9 @@ app.delete('/api/prayer-requests/:id/complete', async (req, res) => {
   const { id } = req.params;
   
   try {
+    // Without a device ID there is no session to end; stale sessions time out on their own
     const result = await pool.query(
-      'UPDATE prayer_requests SET active_prayers = GREATEST(active_prayers - 1, 0) WHERE id = $1 AND expires_at > NOW() RETURNING *',
+      'SELECT id FROM prayer_requests WHERE id = $1 AND expires_at > NOW()',
       [id]
     );
     
@@ -579,6 +927,55 @@ app.delete('/api/prayer-requests/:id/complete', async (req, res) => {
   }
 });
 
+// Report an abusive prayer request (once per device)
+app.post('/api/prayer-requests/:id/report', reportLimiter, requireDevice(req => req.body.device_id), async (req, res) => {
+  const { id } = req.params;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  
+  if (!reason) {
+    return res.status(400).json({ error: 'Reason is required' });
+  }
+  
+  if (reason.length > REASON_MAX_LENGTH) {
+    return res.status(400).json({ error: `Reason must be at most ${REASON_MAX_LENGTH} characters` });
+  }
+  
+  try {
+    const requestResult = await pool.query(
+      'SELECT id, device_id, moderation_status FROM prayer_requests WHERE id = $1 AND expires_at > NOW()',
+      [id]
+    );
+    
+    if (requestResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Prayer request not found or expired' });
+    }
+    
+    if (requestResult.rows[0].device_id === req.deviceId) {
+      return res.status(400).json({ error: 'You cannot report your own prayer request' });
+    }
+    
+    const reports = await recordReport(id, req.deviceId, reason);
+    
+    if (reports === null) {
+      return res.status(409).json({ error: 'You have already reported this prayer request' });
+    }
+    
+    console.log(`🚩 Prayer request ${id} reported (${reports}/${REPORT_HIDE_THRESHOLD} counting toward hiding)`);
+    
+    // Enough reports hide the request until an admin reviews it
+    if (reports >= REPORT_HIDE_THRESHOLD && requestResult.rows[0].moderation_status === 'approved') {
+      await holdForReview(id, ['reports']);
+      publish('prayer_request_removed', { id: requestResult.rows[0].id });
+      console.log(`🛡️ Prayer request ${id} hidden for review after ${reports} reports`);
+    }
+    
+    res.status(201).json({ success: true, message: 'Report received' });
+  } catch (err) {
+    console.error('Error reporting prayer request:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get prayer statistics
 app.get('/api/stats', async (req, res) => {
   try {
@@ -592,7 +989,21 @@ app.get('/api/stats', async (req, res) => {
       WHERE pr.expires_at > NOW()
     `);
     
-    res.json(result.rows[0]);
+    // Totals across live and archived requests
+    const allTimeResult = await pool.query(`
+      SELECT 
+        (SELECT COUNT(*) FROM prayer_requests) +
+          (SELECT COUNT(*) FROM archived_prayer_requests) as prayer_requests,
+        (SELECT COALESCE(SUM(prayer_count), 0) FROM prayer_requests) +
+          (SELECT COALESCE(SUM(prayer_count), 0) FROM archived_prayer_requests) as total_prayers,
+        (SELECT COUNT(*) FROM device_prayers WHERE completed_at IS NOT NULL) +
+          (SELECT COUNT(*) FROM archived_device_prayers WHERE completed_at IS NOT NULL) as completed_prayers
+    `);
+    
+    res.json({
+      ...result.rows[0],
+      all_time: allTimeResult.rows[0]
+    });
   } catch (err) {
     console.error('Error fetching prayer stats:', err);
     res.status(500).json({ 
@@ -604,8 +1015,8 @@ app.get('/api/stats', async (req, res) => {
 });
 
 // Get prayers for a specific device
-app.get('/api/device/:deviceId/prayers', async (req, res) => {
-  const { deviceId } = req.params;
+app.get('/api/device/:deviceId/prayers', requireDevice(req => req.params.deviceId), async (req, res) => {
+  const deviceId = req.deviceId;
   
   try {
     const result = await pool.query(`
@@ -617,6 +1028,7 @@ app.get('/api/device/:deviceId/prayers', async (req, res) => {
         pr.active_prayers,
         pr.created_at,
         pr.expires_at,
+        pr.answered_at,
         pt.title as topic_title,
         pt.category,
         CASE WHEN pt.parent_id IS NULL THEN pt.title ELSE p.title END as main_category,
@@ -630,70 +1042,594 @@ app.get('/api/device/:deviceId/prayers', async (req, res) => {
       ORDER BY dp.joined_at DESC
     `, [deviceId]);
     
-    res.json(result.rows);
+    const timelines = await getUpdateTimelines(result.rows.map(row => row.id));
+    res.json(result.rows.map(row => ({ ...row, updates: timelines.get(row.id) })));
+  } catch (err) {
+    console.error('Error fetching device prayers:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move expired, approved prayer requests and their device participation into the archive
+// tables, keeping their final counts, and delete expired requests that never passed
+// moderation. Returns how many requests were archived and purged.
+async function archiveExpiredRequests() {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const expired = await client.query(
+      'SELECT id, moderation_status FROM prayer_requests WHERE expires_at <= NOW() FOR UPDATE'
+    );
+    const expiredIds = expired.rows.map(row => row.id);
+    // Only requests that were public belong in the archive; held and rejected ones are purged
+    const approvedIds = expired.rows.filter(row => row.moderation_status === 'approved').map(row => row.id);
+    
+    // A row left in the archive by an earlier, interrupted run is brought up to date
+    await client.query(`
+      INSERT INTO archived_prayer_requests
+        (id, topic_id, device_id, description, prayer_count, completed_prayers, created_at, expires_at, answered_at)
+      SELECT 
+        pr.id,
+        pr.topic_id,
+        pr.device_id,
+        pr.description,
+        pr.prayer_count,
+        (SELECT COUNT(*) FROM device_prayers dp WHERE dp.prayer_request_id = pr.id AND dp.completed_at IS NOT NULL),
+        pr.created_at,
+        pr.expires_at,
+        pr.answered_at
+      FROM prayer_requests pr
+      WHERE pr.id = ANY($1)
+      ON CONFLICT (id) DO UPDATE SET
+        prayer_count = EXCLUDED.prayer_count,
+        completed_prayers = EXCLUDED.completed_prayers,
+        expires_at = EXCLUDED.expires_at,
+        answered_at = EXCLUDED.answered_at
+    `, [approvedIds]);
+    
+    await client.query(`
+      INSERT INTO archived_device_prayers (id, device_id, prayer_request_id, joined_at, completed_at)
+      SELECT id, device_id, prayer_request_id, joined_at, completed_at
+      FROM device_prayers
+      WHERE prayer_request_id = ANY($1)
+      ON CONFLICT (id) DO NOTHING
+    `, [approvedIds]);
+    
+    await client.query('DELETE FROM prayer_requests WHERE id = ANY($1)', [expiredIds]);
+    
+    await client.query('COMMIT');
+    return { archived: approvedIds.length, purged: expiredIds.length - approvedIds.length };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Past prayer requests for a device: its own expired requests and the ones it prayed for
+app.get('/api/device/:deviceId/history', requireDevice(req => req.params.deviceId), async (req, res) => {
+  const deviceId = req.deviceId;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  
+  try {
+    const myRequests = await pool.query(`
+      SELECT 
+        apr.id,
+        apr.topic_id,
+        apr.description,
+        apr.prayer_count,
+        apr.completed_prayers,
+        apr.created_at,
+        apr.expires_at,
+        apr.archived_at,
+        pt.title as topic_title,
+        pt.category,
+        CASE WHEN pt.parent_id IS NULL THEN pt.title ELSE p.title END as main_category
+      FROM archived_prayer_requests apr
+      JOIN prayer_topics pt ON apr.topic_id = pt.id
+      LEFT JOIN prayer_topics p ON pt.parent_id = p.id
+      WHERE apr.device_id = $1
+      ORDER BY apr.expires_at DESC
+      LIMIT $2
+    `, [deviceId, limit]);
+    
+    const prayedFor = await pool.query(`
+      SELECT 
+        apr.id,
+        apr.topic_id,
+        apr.description,
+        apr.prayer_count,
+        apr.completed_prayers,
+        apr.created_at,
+        apr.expires_at,
+        pt.title as topic_title,
+        pt.category,
+        CASE WHEN pt.parent_id IS NULL THEN pt.title ELSE p.title END as main_category,
+        adp.joined_at,
+        adp.completed_at
+      FROM archived_device_prayers adp
+      JOIN archived_prayer_requests apr ON adp.prayer_request_id = apr.id
+      JOIN prayer_topics pt ON apr.topic_id = pt.id
+      LEFT JOIN prayer_topics p ON pt.parent_id = p.id
+      WHERE adp.device_id = $1
+      ORDER BY adp.joined_at DESC
+      LIMIT $2
+    `, [deviceId, limit]);
+    
+    res.json({
+      device_id: deviceId,
+      my_requests: myRequests.rows,
+      prayed_for: prayedFor.rows
+    });
+  } catch (err) {
+    console.error('Error fetching device history:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Main categories the device gets new-request pushes for
+app.get('/api/device/:deviceId/subscriptions', requireDevice(req => req.params.deviceId), async (req, res) => {
+  try {
+    const subscriptions = await getCategorySubscriptions(req.deviceId);
+    
+    if (!subscriptions) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    
+    res.json(subscriptions);
+  } catch (err) {
+    console.error('Error fetching category subscriptions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the device's category subscriptions (ids or titles); null goes back to every category
+app.put('/api/device/:deviceId/subscriptions', requireDevice(req => req.params.deviceId), async (req, res) => {
+  const { categories } = req.body;
+  
+  if (categories === undefined) {
+    return res.status(400).json({ error: 'Categories are required (an array, or null for every category)' });
+  }
+  
+  try {
+    await updatePreferences(req.deviceId, { main_category_ids: categories });
+    res.json(await getCategorySubscriptions(req.deviceId));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error updating category subscriptions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the device's notification preferences
+app.get('/api/device/:deviceId/preferences', requireDevice(req => req.params.deviceId), async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.deviceId);
+    
+    if (!preferences) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    
+    res.json(preferences);
+  } catch (err) {
+    console.error('Error fetching notification preferences:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update notification types, main categories, quiet hours or time zone (only fields sent change)
+app.patch('/api/device/:deviceId/preferences', requireDevice(req => req.params.deviceId), async (req, res) => {
+  try {
+    res.json(await updatePreferences(req.deviceId, req.body));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error updating notification preferences:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the devices this device has blocked
+app.get('/api/device/:deviceId/blocks', requireDevice(req => req.params.deviceId), async (req, res) => {
+  try {
+    res.json(await listBlocks(req.deviceId));
+  } catch (err) {
+    console.error('Error fetching blocks:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Block a requester, by device ID or by one of their prayer requests. Their requests
+// disappear from this device's feed and it no longer gets pushes for their new requests.
+app.post('/api/device/:deviceId/blocks', requireDevice(req => req.params.deviceId), async (req, res) => {
+  const { blocked_device_id, prayer_request_id } = req.body;
+  
+  if (!blocked_device_id && !prayer_request_id) {
+    return res.status(400).json({ error: 'Blocked device ID or prayer request ID is required' });
+  }
+  
+  try {
+    let blockedDeviceId = blocked_device_id;
+    
+    if (!blockedDeviceId) {
+      const requestResult = await pool.query(
+        'SELECT device_id FROM prayer_requests WHERE id = $1',
+        [prayer_request_id]
+      );
+      
+      if (requestResult.rows.length === 0 || !requestResult.rows[0].device_id) {
+        return res.status(404).json({ error: 'Prayer request not found or has no requester' });
+      }
+      blockedDeviceId = requestResult.rows[0].device_id;
+    }
+    
+    if (blockedDeviceId === req.deviceId) {
+      return res.status(400).json({ error: 'You cannot block yourself' });
+    }
+    
+    const block = await blockDevice(req.deviceId, blockedDeviceId);
+    res.status(201).json(block);
+  } catch (err) {
+    console.error('Error blocking device:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a block
+app.delete('/api/device/:deviceId/blocks/:blockedDeviceId', requireDevice(req => req.params.deviceId), async (req, res) => {
+  try {
+    const removed = await unblockDevice(req.deviceId, req.params.blockedDeviceId);
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Block not found' });
+    }
+    
+    res.json({ success: true, message: 'Block removed' });
+  } catch (err) {
+    console.error('Error removing block:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Encouragement notes left on this device's prayer requests, newest first. Senders stay anonymous.
+app.get('/api/device/:deviceId/notes', requireDevice(req => req.params.deviceId), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  
+  try {
+    res.json(await listInbox(req.deviceId, limit));
+  } catch (err) {
+    console.error('Error fetching encouragement notes:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Encouragement notes this device sent, with any replies
+app.get('/api/device/:deviceId/notes/sent', requireDevice(req => req.params.deviceId), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  
+  try {
+    res.json(await listSentNotes(req.deviceId, limit));
+  } catch (err) {
+    console.error('Error fetching sent encouragement notes:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reply to a note in this device's inbox. Each note can be answered once.
+app.post('/api/device/:deviceId/notes/:noteId/reply', requireDevice(req => req.params.deviceId), async (req, res) => {
+  try {
+    const reply = validateReply(req.body.reply);
+    
+    if (checkText(reply).length > 0) {
+      return res.status(400).json({ error: 'Reply was blocked by moderation' });
+    }
+    
+    const note = await replyToNote(req.deviceId, req.params.noteId, reply);
+    console.log(`💌 Reply posted to encouragement note ${note.id}`);
+    
+    res.status(201).json({ id: note.id, reply: note.reply, replied_at: note.replied_at });
+    notifyNoteReply(note).catch(err => console.error('Error sending encouragement reply notification:', err));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error replying to encouragement note:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tell the sender of a note that the requester replied
+async function notifyNoteReply(note) {
+  const recipient = await findReplyRecipient(note.id);
+  if (!recipient) {
+    return;
+  }
+  
+  const body = `${note.reply.substring(0, 80)}${note.reply.length > 80 ? '...' : ''}`;
+  
+  await queueNotifications('encouragement_reply', [recipient], device => ({
+    title: translate(device.locale, 'encouragement_reply.title'),
+    body
+  }), device => ({
+    type: 'encouragement_reply',
+    prayer_request_id: note.prayer_request_id.toString(),
+    note_id: note.id.toString(),
+    device_id: device.device_id, // Recipient device ID
+  }));
+}
+
+// Archive expired requests (also runs as the cleanup-expired scheduled job)
+app.delete('/api/cleanup-expired', requireAdmin('maintenance'), async (req, res) => {
+  try {
+    const { archived, purged } = await archiveExpiredRequests();
+    res.json({ message: `Cleaned up ${archived + purged} expired requests`, archived, purged });
+  } catch (err) {
+    console.error('Error cleaning up expired requests:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// End all prayer sessions and reset active_prayers counts to zero (for debugging)
+app.post('/api/reset-active-prayers', requireAdmin('maintenance'), async (req, res) => {
+  try {
+    const result = await endAllSessions('reset');
+    result.rows.forEach(publishCounts);
+    
+    res.json({
+      success: true,
+      message: 'All active_prayers counts reset to zero',
+      updated_count: result.rows.length
+    });
+  } catch (err) {
+    console.error('Error resetting active prayers:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== ADMIN: MODERATION ==========
+
+// Requests held by the moderation filter (status=pending, the default), or past decisions
+app.get('/api/admin/moderation', requireAdmin('moderation'), async (req, res) => {
+  const status = req.query.status || 'pending';
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  
+  if (!MODERATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+  }
+  
+  try {
+    res.json(await listModerationQueue(status, limit));
+  } catch (err) {
+    console.error('Error fetching moderation queue:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reported requests with every report, most reported first
+app.get('/api/admin/reports', requireAdmin('moderation'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  
+  try {
+    res.json(await listReportedRequests(limit));
+  } catch (err) {
+    console.error('Error fetching reports:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve a request: it becomes public and any held broadcast goes out
+app.post('/api/admin/moderation/:id/approve', requireAdmin('moderation'), async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const prayerRequest = await setModerationStatus(id, 'approved', req.admin.name, req.body.note);
+    
+    if (!prayerRequest) {
+      return res.status(404).json({ error: 'Prayer request not found or expired' });
+    }
+    
+    console.log(`🛡️ Prayer request ${id} approved by ${req.admin.name}`);
+    if (prayerRequest.previous_status !== 'approved') {
+      publishRequestCreated(prayerRequest);
+    }
+    
+    const ids = await queueHeldBroadcast(id, (held, client) => enqueueBroadcast({
+      requesterName: held.requester_name,
+      prayerText: held.prayer_text,
+      requesterDeviceId: held.requester_device_id,
+      prayerRequestId: prayerRequest.id
+    }, client));
+    const broadcast = ids ? await deliverBroadcast(ids) : null;
+    
+    res.json({ prayer_request: prayerRequest, broadcast });
   } catch (err) {
-    console.error('Error fetching device prayers:', err);
+    console.error('Error approving prayer request:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Cleanup expired requests (run periodically)
-app.delete('/api/cleanup-expired', async (req, res) => {
+// Reject a request: it is hidden and any held broadcast is dropped
+app.post('/api/admin/moderation/:id/reject', requireAdmin('moderation'), async (req, res) => {
+  const { id } = req.params;
+  
   try {
-    const result = await pool.query('DELETE FROM prayer_requests WHERE expires_at <= NOW()');
-    res.json({ message: `Cleaned up ${result.rowCount} expired requests` });
+    const prayerRequest = await setModerationStatus(id, 'rejected', req.admin.name, req.body.note);
+    
+    if (!prayerRequest) {
+      return res.status(404).json({ error: 'Prayer request not found or expired' });
+    }
+    
+    await takeHeldBroadcast(id);
+    console.log(`🛡️ Prayer request ${id} rejected by ${req.admin.name}`);
+    
+    // Take it out of live feeds if it was already public
+    if (prayerRequest.previous_status === 'approved') {
+      publish('prayer_request_removed', { id: prayerRequest.id });
+    }
+    
+    res.json({ prayer_request: prayerRequest });
   } catch (err) {
-    console.error('Error cleaning up expired requests:', err);
+    console.error('Error rejecting prayer request:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Reset all active_prayers counts to zero (for debugging)
-app.post('/api/reset-active-prayers', async (req, res) => {
+// Encouragement notes held by the moderation filter (status=pending, the default), or past decisions
+app.get('/api/admin/moderation/notes', requireAdmin('moderation'), async (req, res) => {
+  const status = req.query.status || 'pending';
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  
+  if (!MODERATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+  }
+  
   try {
-    const result = await pool.query(
-      'UPDATE prayer_requests SET active_prayers = 0 RETURNING *'
-    );
-    
-    res.json({
-      success: true,
-      message: 'All active_prayers counts reset to zero',
-      updated_count: result.rows.length
-    });
+    res.json(await listNoteModerationQueue(status, limit));
   } catch (err) {
-    console.error('Error resetting active prayers:', err);
+    console.error('Error fetching note moderation queue:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Record an admin decision on an encouragement note. A held note reaches the requester once approved.
+async function moderateNote(req, res, status) {
+  const { id } = req.params;
+  
+  try {
+    const note = await setNoteModerationStatus(id, status, req.admin.name);
+    
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    console.log(`🛡️ Encouragement note ${id} ${status} by ${req.admin.name}`);
+    if (status === 'approved' && note.previous_status === 'pending') {
+      notifyEncouragementNote(note).catch(err => console.error('Error sending encouragement note notification:', err));
+    }
+    
+    res.json({ note });
+  } catch (err) {
+    console.error('Error moderating encouragement note:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+app.post('/api/admin/moderation/notes/:id/approve', requireAdmin('moderation'), (req, res) => moderateNote(req, res, 'approved'));
+
+app.post('/api/admin/moderation/notes/:id/reject', requireAdmin('moderation'), (req, res) => moderateNote(req, res, 'rejected'));
+
 // ========== PUSH NOTIFICATION ENDPOINTS ==========
 
-// Register device for push notifications
+// VAPID public key browsers need to create a Web Push subscription
+app.get('/api/web-push/public-key', (req, res) => {
+  if (!pushTransport || !pushTransport.web_push) {
+    return res.status(503).json({ error: 'Web Push is not configured' });
+  }
+  
+  res.json({ public_key: process.env.VAPID_PUBLIC_KEY });
+});
+
+// Register device for push notifications and issue its device credential.
+// Browsers register with platform 'web' and their Web Push subscription instead of a push token.
 app.post('/api/register-device', async (req, res) => {
-  const { device_id, push_token, platform } = req.body;
+  const { device_id, platform, web_push_subscription, request_credential, rotate_credential, time_zone, reminder_time, locale } = req.body;
+  const presentedToken = req.get(DEVICE_TOKEN_HEADER);
   
   if (!device_id || !platform) {
     return res.status(400).json({ error: 'Device ID and platform are required' });
   }
   
+  let push_token = req.body.push_token;
+  let webPushKeys = null;
+  if (web_push_subscription !== undefined && web_push_subscription !== null) {
+    if (platform !== 'web') {
+      return res.status(400).json({ error: 'web_push_subscription is only accepted for the web platform' });
+    }
+    
+    const subscription = parseWebPushSubscription(web_push_subscription);
+    if (!subscription) {
+      return res.status(400).json({ error: 'web_push_subscription must have an https endpoint and keys.p256dh and keys.auth' });
+    }
+    push_token = subscription.endpoint;
+    webPushKeys = subscription.keys;
+  } else if (platform === 'web') {
+    // A browser without a subscription (permission not granted) can't be pushed to
+    push_token = null;
+  }
+  
   try {
+    // Time zone, reminder time and locale can be sent at registration; validate them up front
+    let settings;
+    try {
+      settings = await buildPreferenceChanges({ time_zone, reminder_time, locale });
+    } catch (err) {
+      if (err instanceof HttpError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      throw err;
+    }
+    
+    const authenticatedDeviceId = presentedToken ? await findDeviceByToken(presentedToken) : null;
+    if (presentedToken && authenticatedDeviceId !== device_id) {
+      return res.status(401).json({ error: 'Invalid device credential' });
+    }
+    
+    // Once a device holds a credential, only that credential may update its registration
+    const existing = await pool.query(
+      'SELECT credential_hash, push_token FROM devices WHERE device_id = $1',
+      [device_id]
+    );
+    const hasCredential = existing.rows.length > 0 && existing.rows[0].credential_hash !== null;
+    
+    if (hasCredential && !authenticatedDeviceId) {
+      return res.status(401).json({ error: 'Device credential required' });
+    }
+    
+    // Legacy clients don't ask for a credential, so they keep working with a bare device_id
+    // until DEVICE_AUTH_MODE=required. Credential holders may ask for a fresh one.
+    const shouldIssue = hasCredential
+      ? !!rotate_credential
+      : !!request_credential || DEVICE_AUTH_MODE === 'required';
+    
+    // Anyone can learn a device_id, so the first credential for a device that is already
+    // registered goes only to a caller that also knows its current push token
+    const storedPushToken = existing.rows.length > 0 ? existing.rows[0].push_token : undefined;
+    if (shouldIssue && !hasCredential && storedPushToken !== undefined && (!storedPushToken || storedPushToken !== push_token)) {
+      return res.status(403).json({ error: 'Register with the device\'s current push token to get a credential' });
+    }
+    
     // Upsert device record
     const result = await pool.query(`
-      INSERT INTO devices (device_id, push_token, platform, last_active) 
-      VALUES ($1, $2, $3, NOW())
+      INSERT INTO devices (device_id, push_token, platform, web_push_keys, last_active) 
+      VALUES ($1, $2, $3, $4, NOW())
       ON CONFLICT (device_id) 
       DO UPDATE SET 
         push_token = $2,
         platform = $3,
-        last_active = NOW()
+        web_push_keys = $4,
+        last_active = NOW(),
+        push_token_invalidated_at = CASE WHEN $2::text IS NULL THEN devices.push_token_invalidated_at END,
+        push_token_invalid_reason = CASE WHEN $2::text IS NULL THEN devices.push_token_invalid_reason END
       RETURNING *
-    `, [device_id, push_token, platform]);
+    `, [device_id, push_token, platform, webPushKeys]);
+    const device = Object.keys(settings).length > 0
+      ? await savePreferenceChanges(device_id, settings)
+      : result.rows[0];
+    
+    const deviceToken = shouldIssue ? await issueDeviceCredential(pool, device_id) : null;
     
-    console.log(`📱 Device registered: ${device_id} (${platform})`);
+    console.log(`📱 Device registered: ${device_id} (${platform})${deviceToken ? ' - credential issued' : ''}`);
     res.json({ 
       success: true, 
       message: 'Device registered successfully',
-      device: result.rows[0]
+      device: publicDeviceRow(device),
+      ...(deviceToken && { device_token: deviceToken })
     });
   } catch (err) {
     console.error('Error registering device:', err);
@@ -701,71 +1637,133 @@ app.post('/api/register-device', async (req, res) => {
   }
 });
 
-// Send push notification to specific device
-async function sendPushNotification(pushToken, platform, title, body, data = {}) {
-  if (!firebaseAdmin) {
-    console.warn('⚠️ Firebase Admin not initialized, skipping push notification');
-    return false;
+// One outbox notification per device: contentForDevice builds its { title, body }, usually
+// translated into its locale, and dataForDevice its data payload
+function buildNotifications(devices, contentForDevice, dataForDevice) {
+  return devices.map(device => ({
+    device_id: device.device_id,
+    ...contentForDevice(device),
+    data: dataForDevice(device)
+  }));
+}
+
+// Try to deliver queued notifications right away. Failed sends stay queued and are
+// retried by the deliver-notifications job. Returns delivery counts and a summary per batch.
+async function deliverQueued(type, ids) {
+  if (!pushTransport) {
+    console.warn('⚠️ No push transport configured, notifications stay queued');
+    return { queued: ids.length, devices_notified: 0, successful_notifications: 0, batches: [] };
   }
   
-  try {
-    const message = {
-      token: pushToken,
-      notification: {
-        title: title,
-        body: body,
-      },
-      data: {
-        ...data,
-        // Convert all data values to strings (FCM requirement)
-        timestamp: new Date().toISOString(),
-      },
-      // Platform-specific configurations
-      android: {
-        notification: {
-          channelId: 'prayer-warriors-default',
-          priority: 'high',
-          defaultSound: true,
-          defaultVibrateTimings: true,
-        },
-      },
-      apns: {
-        headers: {
-          'apns-priority': '10', // High priority for immediate delivery
-          'apns-push-type': 'alert', // Alert type for visible notifications
-          'apns-topic': 'com.coirle.prayerwarriorapp', // Your bundle ID
-        },
-        payload: {
-          aps: {
-            alert: {
-              title: title,
-              body: body,
-            },
-            sound: 'default',
-            badge: 1,
-            'content-available': 1, // Allows background processing
-            'mutable-content': 1, // Allows notification service extensions
-          },
-        },
-      },
+  const summary = await deliverNotifications(pushTransport, ids);
+  if (summary.retrying > 0) {
+    console.warn(`⏳ ${summary.retrying} ${type} notification(s) failed and will be retried`);
+  }
+  return { queued: ids.length, ...summary };
+}
+
+// Queue one notification of this type per device in the outbox and try to deliver them
+// right away (see buildNotifications and deliverQueued)
+async function queueNotifications(type, devices, contentForDevice, dataForDevice) {
+  const ids = await enqueueNotifications(type, buildNotifications(devices, contentForDevice, dataForDevice));
+  return deliverQueued(type, ids);
+}
+
+// The topic of a stored prayer request, used to target and label its broadcast
+async function getRequestTopic(prayerRequestId) {
+  const result = await pool.query(`
+    SELECT 
+      pt.id as topic_id,
+      pt.title as topic_title,
+      COALESCE(pt.parent_id, pt.id) as main_category_id,
+      CASE WHEN pt.parent_id IS NULL THEN pt.title ELSE p.title END as main_category
+    FROM prayer_requests pr
+    JOIN prayer_topics pt ON pr.topic_id = pt.id
+    LEFT JOIN prayer_topics p ON pt.parent_id = p.id
+    WHERE pr.id = $1
+  `, [prayerRequestId]);
+  return result.rows[0] || null;
+}
+
+// Queue a prayer request for every device subscribed to its main category, plus devices
+// that never picked categories, except the requester's and those that blocked it.
+// Broadcasts without a stored request have no category and only reach devices that never
+// picked. Pass a transaction's client as db to queue them as part of it. Returns the ids.
+async function enqueueBroadcast({ requesterName, prayerText, requesterDeviceId, prayerRequestId }, db = pool) {
+  const params = [];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  
+  // The category comes from the stored request, never from client-supplied text
+  const topic = prayerRequestId ? await getRequestTopic(prayerRequestId) : null;
+  const mainCategory = `${param(topic ? topic.main_category_id : null)}::integer`;
+  const conditions = ['d.push_token IS NOT NULL', wantsNotification('new_requests', mainCategory)];
+  
+  // Exclude the requester's device and devices that blocked it
+  if (requesterDeviceId) {
+    const requester = param(requesterDeviceId);
+    conditions.push(`d.device_id != ${requester}`);
+    conditions.push(`NOT EXISTS (SELECT 1 FROM device_blocks db WHERE db.device_id = d.device_id AND db.blocked_device_id = ${requester})`);
+  }
+  
+  const devicesResult = await db.query(
+    `SELECT d.device_id, d.push_token, d.platform, d.locale FROM devices d WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+  const devices = devicesResult.rows;
+  
+  console.log(`📤 Sending prayer request to ${devices.length} devices`);
+  console.log(`📋 Prayer request ID: ${prayerRequestId}`);
+  
+  const text = `${prayerText.substring(0, 80)}${prayerText.length > 80 ? '...' : ''}`;
+  
+  return enqueueNotifications('prayer_request', buildNotifications(devices, device => ({
+    title: translate(device.locale, 'new_request.title'),
+    body: translate(device.locale, 'new_request.body', { name: requesterName, text })
+  }), device => {
+    // Include ALL required device and prayer data for client-side handling
+    const notificationData = {
+      type: 'prayer_request',
+      requesterName: requesterName,
+      prayerText: prayerText,
+      // Device ID information for client-side filtering and display
+      device_id: device.device_id, // Recipient device ID
+      requesterDeviceId: requesterDeviceId || '', // Original requester device ID
     };
     
-    const response = await firebaseAdmin.messaging().send(message);
-    console.log(`✅ ${platform} push notification sent successfully: ${response}`);
-    return true;
-  } catch (error) {
-    console.error(`❌ Error sending ${platform} push notification:`, error.message);
-    console.error(`❌ Error code: ${error.code}`);
-    if (error.code === 'messaging/registration-token-not-registered') {
-      console.error(`❌ Token invalid or app uninstalled: ${pushToken.substring(0, 20)}...`);
-    } else if (error.code === 'messaging/invalid-registration-token') {
-      console.error(`❌ Malformed token: ${pushToken.substring(0, 20)}...`);
+    // Add prayer_request_id and its topic if provided
+    if (prayerRequestId) {
+      notificationData.prayer_request_id = prayerRequestId.toString();
     }
-    return false;
-  }
+    if (topic) {
+      notificationData.topic_id = topic.topic_id.toString();
+      notificationData.topic_title = topic.topic_title;
+      notificationData.main_category = topic.main_category;
+    }
+    
+    return notificationData;
+  }), db);
+}
+
+// Deliver a queued broadcast (see enqueueBroadcast)
+async function deliverBroadcast(ids) {
+  const summary = await deliverQueued('prayer_request', ids);
+  console.log(`✅ Prayer request notifications sent: ${summary.successful_notifications}/${ids.length} successful`);
+  return summary;
+}
+
+// Push a prayer request to its audience (see enqueueBroadcast)
+async function broadcastPrayerRequest(broadcast) {
+  return deliverBroadcast(await enqueueBroadcast(broadcast));
 }
 
 // Send prayer request to all devices
+//
+// Broadcasts only go out for approved requests. For a request that is pending review
+// (or whose prayer text trips the moderation filter) the broadcast is held and sent
+// when an admin approves it.
 app.post('/api/send-prayer-request', async (req, res) => {
   const { requesterName, prayerText, requesterDeviceId, prayer_request_id } = req.body;
   
@@ -773,65 +1771,57 @@ app.post('/api/send-prayer-request', async (req, res) => {
     return res.status(400).json({ error: 'Requester name and prayer text are required' });
   }
   
+  const broadcast = { requesterName, prayerText, requesterDeviceId, prayerRequestId: prayer_request_id };
+  const moderationFlags = checkText(requesterName, prayerText);
+  
   try {
-    // Get all active devices (excluding the requester's device)
-    let query = 'SELECT device_id, push_token, platform FROM devices WHERE push_token IS NOT NULL';
-    let params = [];
-    
-    if (requesterDeviceId) {
-      query += ' AND device_id != $1';
-      params = [requesterDeviceId];
-    }
-    
-    const devicesResult = await pool.query(query, params);
-    const devices = devicesResult.rows;
-    
-    console.log(`📤 Sending prayer request to ${devices.length} devices`);
-    console.log(`📋 Prayer request ID: ${prayer_request_id}`);
-    
-    // Send push notifications to all devices
-    const notificationPromises = devices.map(device => {
-      const title = '🙏 New Prayer Request';
-      const body = `${requesterName} is asking for prayer: ${prayerText.substring(0, 80)}${prayerText.length > 80 ? '...' : ''}`;
+    if (prayer_request_id) {
+      const requestResult = await pool.query(
+        'SELECT id, device_id, moderation_status FROM prayer_requests WHERE id = $1 AND expires_at > NOW()',
+        [prayer_request_id]
+      );
+      
+      if (requestResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Prayer request not found or expired' });
+      }
       
-      // Include ALL required device and prayer data for client-side handling
-      const notificationData = {
-        type: 'prayer_request',
-        requesterName: requesterName,
-        prayerText: prayerText,
-        // Device ID information for client-side filtering and display
-        device_id: device.device_id, // Recipient device ID
-        requesterDeviceId: requesterDeviceId || '', // Original requester device ID
-      };
+      let prayerRequest = requestResult.rows[0];
       
-      // Add prayer_request_id if provided
-      if (prayer_request_id) {
-        notificationData.prayer_request_id = prayer_request_id.toString();
+      // Block lists are keyed on the device that created the request, not what the client says
+      if (prayerRequest.device_id) {
+        broadcast.requesterDeviceId = prayerRequest.device_id;
+      }
+      if (prayerRequest.moderation_status === 'rejected') {
+        return res.status(403).json({ error: 'Prayer request was rejected by moderation' });
       }
       
-      console.log(`📤 Sending prayer request notification to device: ${device.device_id}`);
-      console.log(`📋 Notification data:`, JSON.stringify(notificationData, null, 2));
+      if (prayerRequest.moderation_status === 'approved' && moderationFlags.length > 0) {
+        prayerRequest = await holdForReview(prayer_request_id, moderationFlags);
+        publish('prayer_request_removed', { id: prayerRequest.id });
+        console.log(`🛡️ Prayer request ${prayer_request_id} held for review: ${moderationFlags.join(', ')}`);
+      }
       
-      return sendPushNotification(
-        device.push_token,
-        device.platform,
-        title,
-        body,
-        notificationData
-      );
-    });
-    
-    // Wait for all notifications to be sent
-    const results = await Promise.allSettled(notificationPromises);
-    const successCount = results.filter(result => result.status === 'fulfilled' && result.value).length;
+      if (prayerRequest.moderation_status === 'pending') {
+        await holdBroadcast(prayer_request_id, broadcast);
+        return res.status(202).json({
+          success: true,
+          held_for_review: true,
+          message: 'Prayer request is awaiting review and will be sent once approved',
+          prayer_request_id: prayer_request_id
+        });
+      }
+    } else if (moderationFlags.length > 0) {
+      // Without a stored request there is nothing to hold for review
+      console.log(`🛡️ Broadcast without prayer request blocked: ${moderationFlags.join(', ')}`);
+      return res.status(400).json({ error: 'Prayer text was blocked by moderation' });
+    }
     
-    console.log(`✅ Prayer request notifications sent: ${successCount}/${devices.length} successful`);
+    const counts = await broadcastPrayerRequest(broadcast);
     
     res.json({
       success: true,
       message: 'Prayer request sent to all devices',
-      devices_notified: devices.length,
-      successful_notifications: successCount,
+      ...counts,
       prayer_request_id: prayer_request_id
     });
   } catch (err) {
@@ -840,124 +1830,93 @@ app.post('/api/send-prayer-request', async (req, res) => {
   }
 });
 
-// Send prayer joined notification to request creator
-app.post('/api/send-prayer-joined', async (req, res) => {
-  const { prayer_request_id, joiner_device_id } = req.body;
-  
-  if (!prayer_request_id) {
-    return res.status(400).json({ error: 'Prayer request ID is required' });
-  }
+// Tell requesters about joins that are due: a single join as before, several as a digest.
+// Pass a request id to only check that request (right after a join).
+async function sendJoinNotifications(prayerRequestId = null) {
+  const claims = await claimDueJoins(prayerRequestId);
+  let notified = 0;
   
-  try {
-    // Get prayer request details and creator's device info
-    const requestResult = await pool.query(`
-      SELECT pr.*, d.push_token, d.platform 
-      FROM prayer_requests pr
-      LEFT JOIN devices d ON pr.device_id = d.device_id
-      WHERE pr.id = $1 AND pr.device_id IS NOT NULL
-    `, [prayer_request_id]);
-    
-    if (requestResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Prayer request not found or no device info' });
-    }
-    
-    const prayerRequest = requestResult.rows[0];
-    
-    // Don't send notification if no push token
-    if (!prayerRequest.push_token) {
-      return res.json({ 
-        success: true, 
-        message: 'No push token available for prayer creator' 
-      });
-    }
-    
-    // Don't send notification to the same device that joined
-    if (prayerRequest.device_id === joiner_device_id) {
-      return res.json({ 
-        success: true, 
-        message: 'Not sending notification to same device' 
-      });
-    }
-    
-    const title = '❤️ Someone Joined Your Prayer';
-    const body = `${prayerRequest.prayer_count} ${prayerRequest.prayer_count === 1 ? 'person is' : 'people are'} now praying with you!`;
+  for (const claim of claims) {
+    const { joins, prayer_count: prayerCount, locale } = claim;
+    const praying = translate(locale, 'prayer_joined.praying', { count: prayerCount });
+    const period = digestPeriod(claim.pending_seconds);
+    
+    const title = translate(locale, 'prayer_joined.title', { count: joins });
+    const body = joins === 1 ? praying : translate(locale, claim.first_notification ? 'prayer_joined.digest' : 'prayer_joined.digest_more', {
+      count: joins,
+      period: translate(locale, period.key, { count: period.count }),
+      praying
+    });
     
     // Include ALL required device and prayer data for client-side handling
     const notificationData = {
       type: 'prayer_joined',
-      prayer_request_id: prayer_request_id.toString(),
-      prayer_count: prayerRequest.prayer_count.toString(),
+      prayer_request_id: claim.prayer_request_id.toString(),
+      prayer_count: prayerCount.toString(),
+      new_joins: joins.toString(),
       // Device ID information for client-side filtering and display
-      device_id: prayerRequest.device_id, // Prayer creator's device ID (recipient)
-      joiner_device_id: joiner_device_id || '', // Device that joined the prayer
+      device_id: claim.device_id, // Prayer creator's device ID (recipient)
+      joiner_device_id: joins === 1 ? claim.last_joiner_device_id || '' : '', // Device that joined the prayer, unless it left a note
     };
     
-    console.log(`📤 Sending prayer joined notification to device: ${prayerRequest.device_id}`);
-    console.log(`📋 Notification data:`, JSON.stringify(notificationData, null, 2));
-    
-    const success = await sendPushNotification(
-      prayerRequest.push_token,
-      prayerRequest.platform,
-      title,
-      body,
-      notificationData
-    );
-    
-    if (success) {
-      console.log(`✅ Prayer joined notification sent to ${prayerRequest.device_id}`);
-    }
-    
-    res.json({
-      success: success,
-      message: success ? 'Prayer joined notification sent' : 'Failed to send notification'
-    });
-  } catch (err) {
-    console.error('Error sending prayer joined notification:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    const summary = await queueNotifications('prayer_joined', [claim], () => ({ title, body }), () => notificationData);
+    notified += summary.successful_notifications;
+    console.log(`❤️ Join notification for prayer ${claim.prayer_request_id} (${joins} new join(s)) sent to ${claim.device_id}`);
+  }
+  
+  return { requests: claims.length, successful_notifications: notified };
+}
+
+// Join notifications are sent by /join itself. Kept for app versions that still call it
+// after joining; it sends nothing, so their joins aren't announced twice.
+app.post('/api/send-prayer-joined', (req, res) => {
+  const { prayer_request_id } = req.body;
+  
+  if (!prayer_request_id) {
+    return res.status(400).json({ error: 'Prayer request ID is required' });
   }
+  
+  res.json({
+    success: true,
+    message: 'Join notifications are sent automatically when a device joins'
+  });
 });
 
-// Send daily prayer reminder to all devices
-app.post('/api/send-daily-reminder', async (req, res) => {
+// Send the daily prayer reminder to every device whose local reminder time has come
+// and that hasn't had today's reminder yet
+async function sendDailyReminder() {
+  const { devices, queued: ids } = await queueDueReminders((dueDevices, client) => enqueueNotifications(
+    'daily_reminder',
+    buildNotifications(dueDevices, device => ({
+      title: translate(device.locale, 'daily_reminder.title'),
+      body: translate(device.locale, 'daily_reminder.body')
+    }), device => ({
+      type: 'daily_reminder',
+      device_id: device.device_id, // Recipient device ID
+    })),
+    client
+  ));
+  
+  console.log(`📤 Sending daily reminder to ${devices.length} devices`);
+  
+  const summary = await deliverQueued('daily_reminder', ids);
+  
+  console.log(`✅ Daily reminder notifications sent: ${summary.successful_notifications}/${devices.length} successful`);
+  await pruneReminderDeliveries();
+  
+  return summary;
+}
+
+// Send the daily prayer reminder to devices that are due now (the daily-reminder
+// scheduled job does this every few minutes)
+app.post('/api/send-daily-reminder', requireAdmin('notifications'), async (req, res) => {
   try {
-    const devicesResult = await pool.query(
-      'SELECT device_id, push_token, platform FROM devices WHERE push_token IS NOT NULL'
-    );
-    const devices = devicesResult.rows;
-    
-    console.log(`📤 Sending daily reminder to ${devices.length} devices`);
-    
-    const title = '🕐 Daily Prayer Time';
-    const body = 'Take a moment to connect with God and pray for others in your community.';
-    
-    const notificationPromises = devices.map(device => {
-      // Include device_id for client-side handling
-      const notificationData = {
-        type: 'daily_reminder',
-        device_id: device.device_id, // Recipient device ID
-      };
-      
-      console.log(`📤 Sending daily reminder to device: ${device.device_id}`);
-      
-      return sendPushNotification(
-        device.push_token,
-        device.platform,
-        title,
-        body,
-        notificationData
-      );
-    });
-    
-    const results = await Promise.allSettled(notificationPromises);
-    const successCount = results.filter(result => result.status === 'fulfilled' && result.value).length;
-    
-    console.log(`✅ Daily reminder notifications sent: ${successCount}/${devices.length} successful`);
+    const summary = await sendDailyReminder();
     
     res.json({
       success: true,
-      message: 'Daily reminder sent to all devices',
-      devices_notified: devices.length,
-      successful_notifications: successCount
+      message: 'Daily reminder sent to devices that are due',
+      ...summary
     });
   } catch (err) {
     console.error('Error sending daily reminder:', err);
@@ -966,7 +1925,7 @@ app.post('/api/send-daily-reminder', async (req, res) => {
 });
 
 // Get all registered devices (for debugging)
-app.get('/api/devices', async (req, res) => {
+app.get('/api/devices', requireAdmin('diagnostics'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT device_id, platform, last_active, created_at,
@@ -982,9 +1941,67 @@ app.get('/api/devices', async (req, res) => {
   }
 });
 
+// Push token health: invalidated tokens, failed last deliveries and recent invalidations
+app.get('/api/admin/push-tokens', requireAdmin('diagnostics'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  
+  try {
+    res.json(await tokenHealthReport(limit));
+  } catch (err) {
+    console.error('Error fetching push token health:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Notification outbox, newest first, filtered by device_id, type and/or status
+app.get('/api/admin/notifications', requireAdmin('notifications'), async (req, res) => {
+  const { device_id, type, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  
+  if (status && !NOTIFICATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${NOTIFICATION_STATUSES.join(', ')}` });
+  }
+  
+  try {
+    res.json(await listNotifications({ deviceId: device_id, type, status, limit }));
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One queued notification with its delivery log
+app.get('/api/admin/notifications/:id', requireAdmin('notifications'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  
+  try {
+    const notification = Number.isNaN(id) ? null : await getNotification(id);
+    
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    
+    res.json(notification);
+  } catch (err) {
+    console.error('Error fetching notification:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The active push transport and, for the memory transport, the messages it would have sent
+app.get('/api/admin/push-transport', requireAdmin('notifications'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  
+  res.json({
+    transport: pushTransport ? pushTransport.name : null,
+    ...(pushTransport && pushTransport.file && { file: pushTransport.file }),
+    ...(pushTransport && pushTransport.sent && { messages: pushTransport.sent.slice(-limit).reverse() })
+  });
+});
+
 // Get device info for diagnostics
-app.get('/api/device/:deviceId/info', async (req, res) => {
-  const { deviceId } = req.params;
+app.get('/api/device/:deviceId/info', requireDevice(req => req.params.deviceId), async (req, res) => {
+  const deviceId = req.deviceId;
   
   try {
     // Get device registration info
@@ -1025,7 +2042,7 @@ app.get('/api/device/:deviceId/info', async (req, res) => {
     const deviceInfo = {
       device_id: deviceId,
       registered: device ? true : false,
-      registration_info: device || null,
+      registration_info: publicDeviceRow(device) || null,
       prayer_stats: {
         total_joined_prayers: parseInt(stats.joined_prayers) || 0,
         completed_prayers: parseInt(stats.completed_prayers) || 0,
@@ -1033,7 +2050,17 @@ app.get('/api/device/:deviceId/info', async (req, res) => {
       },
       recent_activity: recentActivity.rows,
       push_notification_ready: device && device.push_token ? true : false,
-      firebase_admin_available: firebaseAdmin ? true : false,
+      firebase_admin_available: pushTransport && pushTransport.fcm ? true : false,
+      push_transport: pushTransport ? pushTransport.name : null,
+      last_delivery: device && device.last_delivery_at ? {
+        status: device.last_delivery_status,
+        error: device.last_delivery_error,
+        at: device.last_delivery_at,
+      } : null,
+      push_token_invalidated: device && !device.push_token && device.push_token_invalidated_at ? {
+        reason: device.push_token_invalid_reason,
+        at: device.push_token_invalidated_at,
+      } : null,
     };
     
     console.log(`📋 Device info requested for: ${deviceId}`);
@@ -1045,7 +2072,7 @@ app.get('/api/device/:deviceId/info', async (req, res) => {
 });
 
 // Send test notification to specific device
-app.post('/api/send-test-notification', async (req, res) => {
+app.post('/api/send-test-notification', requireAdmin('notifications'), async (req, res) => {
   const { device_id, title, body, data } = req.body;
   
   if (!device_id) {
@@ -1055,7 +2082,7 @@ app.post('/api/send-test-notification', async (req, res) => {
   try {
     // Get device info
     const deviceResult = await pool.query(
-      'SELECT push_token, platform FROM devices WHERE device_id = $1',
+      'SELECT device_id, push_token, platform, locale FROM devices WHERE device_id = $1',
       [device_id]
     );
     
@@ -1069,12 +2096,12 @@ app.post('/api/send-test-notification', async (req, res) => {
       return res.status(400).json({ error: 'Device has no push token registered' });
     }
     
-    if (!firebaseAdmin) {
-      return res.status(503).json({ error: 'Firebase Admin SDK not available' });
+    if (!pushTransport) {
+      return res.status(503).json({ error: 'No push transport available' });
     }
     
-    const testTitle = title || '🧪 Test Notification';
-    const testBody = body || 'This is a test notification from Prayer Warriors app!';
+    const testTitle = title || translate(device.locale, 'test.title');
+    const testBody = body || translate(device.locale, 'test.body');
     const testData = data || { 
       type: 'test', 
       test_timestamp: new Date().toISOString(),
@@ -1084,19 +2111,15 @@ app.post('/api/send-test-notification', async (req, res) => {
     console.log(`🧪 Sending test notification to device: ${device_id}`);
     console.log(`📋 Test notification data:`, JSON.stringify(testData, null, 2));
     
-    const success = await sendPushNotification(
-      device.push_token,
-      device.platform,
-      testTitle,
-      testBody,
-      testData
-    );
+    const summary = await queueNotifications('test', [device], () => ({ title: testTitle, body: testBody }), () => testData);
+    const success = summary.successful_notifications === 1;
     
     console.log(`🧪 Test notification sent to ${device_id}: ${success ? 'success' : 'failed'}`);
     
     res.json({
       success: success,
-      message: success ? 'Test notification sent successfully' : 'Failed to send test notification',
+      message: success ? 'Test notification sent successfully'
+        : summary.retrying ? 'Test notification failed and was queued for retry' : 'Failed to send test notification',
       device_id: device_id,
       platform: device.platform,
       notification: {
@@ -1111,9 +2134,131 @@ app.post('/api/send-test-notification', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Prayer Warrior API server running on port ${PORT}`);
+// ========== SCHEDULED JOBS ==========
+
+// Devices that haven't registered or opened the app for this long are removed
+const STALE_DEVICE_DAYS = parseInt(process.env.STALE_DEVICE_DAYS, 10) || 180;
+
+async function pruneStaleDevices() {
+  const result = await pool.query(
+    'DELETE FROM devices WHERE last_active < NOW() - make_interval(days => $1)',
+    [STALE_DEVICE_DAYS]
+  );
+  return result.rowCount;
+}
+
+defineJob({
+  name: 'cleanup-expired',
+  description: 'Move expired prayer requests into the archive',
+  schedule: '5 * * * *',
+  run: archiveExpiredRequests
+});
+
+defineJob({
+  name: 'daily-reminder',
+  description: 'Send the daily prayer reminder to devices at their local reminder time',
+  schedule: '*/5 * * * *',
+  timeoutMinutes: 30,
+  run: sendDailyReminder
+});
+
+defineJob({
+  name: 'join-digests',
+  description: 'Send requesters a digest of joins since their last join notification',
+  schedule: '*/5 * * * *',
+  run: () => sendJoinNotifications()
+});
+
+defineJob({
+  name: 'deliver-notifications',
+  description: 'Retry queued push notifications that are due and prune the outbox',
+  schedule: '* * * * *',
+  run: async () => {
+    if (!pushTransport) {
+      return { skipped: 'No push transport configured', ...await pruneNotifications() };
+    }
+    const { batches, ...summary } = await deliverNotifications(pushTransport);
+    return { ...summary, ...await pruneNotifications() };
+  }
+});
+
+defineJob({
+  name: 'prune-stale-devices',
+  description: `Remove devices inactive for more than ${STALE_DEVICE_DAYS} days and old job run history`,
+  schedule: '30 3 * * *',
+  run: async () => ({ pruned: await pruneStaleDevices(), job_runs_pruned: await pruneJobRuns() })
+});
+
+// List scheduled jobs with their schedule, lock state and last run
+app.get('/api/admin/jobs', requireAdmin('maintenance'), async (req, res) => {
+  try {
+    res.json(await listJobs());
+  } catch (err) {
+    console.error('Error fetching jobs:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run history for a single job
+app.get('/api/admin/jobs/:name/runs', requireAdmin('maintenance'), async (req, res) => {
+  const { name } = req.params;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  
+  if (!hasJob(name)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  try {
+    res.json(await listJobRuns(name, limit));
+  } catch (err) {
+    console.error('Error fetching job runs:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run a job immediately
+app.post('/api/admin/jobs/:name/run', requireAdmin('maintenance'), async (req, res) => {
+  const { name } = req.params;
+  
+  if (!hasJob(name)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  try {
+    const run = await runJob(name, { trigger: 'manual' });
+    
+    if (!run) {
+      return res.status(409).json({ error: 'Job is already running' });
+    }
+    
+    res.json(run);
+  } catch (err) {
+    console.error('Error running job:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start server (after bringing the schema up to date unless AUTO_MIGRATE=false)
+async function startServer() {
+  if (process.env.AUTO_MIGRATE !== 'false') {
+    const applied = await migrateUp(pool);
+    console.log(applied.length
+      ? `✅ Applied ${applied.length} database migration(s)`
+      : '✅ Database schema is up to date');
+  }
+
+  startRealtime();
+  startSessionReaper();
+  await startScheduler();
+  
+  app.listen(PORT, () => {
+    console.log(`Prayer Warrior API server running on port ${PORT}`);
+  });
+}
+
+startServer().catch(err => {
+  console.error('❌ Failed to start server:', err.message);
+  process.exit(1);
 });
 
 module.exports = app;
@@ -0,0 +1,75 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const pool = require('../lib/db');
+const { createNote } = require('../lib/encouragementNotes');
+const { HttpError } = require('../lib/httpError');
+
+// Stand in for a pooled client: answers the note checks with checkRow and records every query
+function fakeClient(checkRow) {
+  const queries = [];
+  const client = {
+    queries,
+    released: false,
+    query: async (text, values) => {
+      queries.push({ text: text.trim(), values });
+      if (/FROM prayer_requests pr/.test(text)) {
+        return { rows: checkRow ? [checkRow] : [] };
+      }
+      if (/INSERT INTO encouragement_notes/.test(text)) {
+        return { rows: [{ id: 1 }] };
+      }
+      return { rows: [] };
+    },
+    release: () => {
+      client.released = true;
+    },
+  };
+  return client;
+}
+
+function withClient(client, fn) {
+  const connect = pool.connect;
+  pool.connect = async () => client;
+  return fn().finally(() => {
+    pool.connect = connect;
+  });
+}
+
+const CHECKS = { requester_device_id: 'requester', joined: true, sent_last_hour: 0, sent_to_request: 0 };
+const NOTE = { message: 'Praying for you', signature: null };
+
+test('createNote refuses notes on legacy requests without a requester device', async () => {
+  const client = fakeClient({ ...CHECKS, requester_device_id: null });
+
+  await withClient(client, async () => {
+    await assert.rejects(
+      createNote(1, 'sender', NOTE, []),
+      error => error instanceof HttpError && error.status === 404
+    );
+  });
+  assert.ok(!client.queries.some(query => query.text.startsWith('INSERT')));
+  assert.equal(client.queries[client.queries.length - 1].text, 'ROLLBACK');
+  assert.equal(client.released, true);
+});
+
+test('createNote stores the note with its requester inside the sender lock', async () => {
+  const client = fakeClient(CHECKS);
+
+  await withClient(client, async () => {
+    assert.deepEqual(await createNote(1, 'sender', NOTE, []), { id: 1 });
+  });
+  const texts = client.queries.map(query => query.text);
+  assert.equal(texts[0], 'BEGIN');
+  assert.match(texts[1], /pg_advisory_xact_lock/);
+  assert.match(texts[3], /^INSERT INTO encouragement_notes/);
+  assert.deepEqual(client.queries[3].values.slice(0, 3), [1, 'requester', 'sender']);
+  assert.equal(texts[4], 'COMMIT');
+});
+
+test('createNote enforces the per-request limit', async () => {
+  const client = fakeClient({ ...CHECKS, sent_to_request: 3 });
+
+  await withClient(client, async () => {
+    await assert.rejects(createNote(1, 'sender', NOTE, []), error => error.status === 429);
+  });
+});
@@ -0,0 +1,70 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { FeedQueryError, SORT_MODES, buildFeedPage, buildFeedQuery, parseFeedOptions } = require('../lib/feed');
+
+const KEYS = {
+  newest: '2026-10-19T03:10:41.075123',
+  fewest_prayers: 4,
+  ending_soon: '2026-10-20T09:00:00.000000',
+};
+
+const cursorFor = payload => `v1.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+
+// The next_cursor of a page of limit rows whose last row has the given key and id
+function nextCursor(sort, key, id) {
+  const rows = [{ id: id + 1, cursor_key: key }, { id, cursor_key: key }, { id: id - 1, cursor_key: key }];
+  return buildFeedPage(rows, { sort, limit: 2 }).next_cursor;
+}
+
+const rejectsCursor = (cursor, sort = 'newest') => assert.throws(
+  () => parseFeedOptions({ sort, cursor }),
+  error => error instanceof FeedQueryError && error.message === 'Invalid cursor'
+);
+
+for (const sort of Object.keys(SORT_MODES)) {
+  test(`a ${sort} cursor round-trips through the next page's options`, () => {
+    const options = parseFeedOptions({ sort, cursor: nextCursor(sort, KEYS[sort], 41) });
+
+    assert.deepEqual(options.cursor, { sort, key: KEYS[sort], id: 41 });
+    const query = buildFeedQuery(options);
+    assert.ok(query.values.includes(KEYS[sort]));
+    assert.ok(query.values.includes(41));
+  });
+}
+
+test('buildFeedPage strips cursor keys and ends with a null cursor', () => {
+  const page = buildFeedPage([{ id: 2, cursor_key: 1 }, { id: 1, cursor_key: 1 }], { sort: 'fewest_prayers', limit: 2 });
+
+  assert.deepEqual(page, { prayer_requests: [{ id: 2 }, { id: 1 }], next_cursor: null });
+});
+
+test('garbage and forged cursors are rejected', () => {
+  rejectsCursor('garbage');
+  rejectsCursor('v2.e30');
+  rejectsCursor(`v1.${Buffer.from('not json').toString('base64url')}`);
+  rejectsCursor(nextCursor('fewest_prayers', 4, 41));
+  rejectsCursor(cursorFor({ sort: 'newest', key: 'yesterday', id: 1 }));
+  rejectsCursor(cursorFor({ sort: 'newest', key: '2026-02-30T10:00:00.000000', id: 1 }));
+  rejectsCursor(cursorFor({ sort: 'newest', key: KEYS.newest, id: '1' }));
+  rejectsCursor(cursorFor({ sort: 'newest', key: KEYS.newest, id: 99999999999 }));
+  rejectsCursor(cursorFor({ sort: 'fewest_prayers', key: '4', id: 1 }), 'fewest_prayers');
+  rejectsCursor(cursorFor({ sort: 'fewest_prayers', key: 2 ** 40, id: 1 }), 'fewest_prayers');
+});
+
+test('limit defaults to 20, is clamped to 100 and must be positive', () => {
+  assert.equal(parseFeedOptions({}).limit, 20);
+  assert.equal(parseFeedOptions({ limit: '500' }).limit, 100);
+  assert.throws(() => parseFeedOptions({ limit: '0' }), FeedQueryError);
+  assert.throws(() => parseFeedOptions({ limit: 'many' }), FeedQueryError);
+});
+
+test('topic_id must be a whole number in integer range', () => {
+  assert.equal(parseFeedOptions({ topic_id: '12' }).topicId, 12);
+  assert.throws(() => parseFeedOptions({ topic_id: '12abc' }), FeedQueryError);
+  assert.throws(() => parseFeedOptions({ topic_id: '-1' }), FeedQueryError);
+  assert.throws(() => parseFeedOptions({ topic_id: '99999999999' }), FeedQueryError);
+});
+
+test('unknown sort modes are rejected', () => {
+  assert.throws(() => parseFeedOptions({ sort: 'random' }), /Sort must be one of/);
+});
@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { normalizeLocale, resolveLocale, translate } = require('../lib/i18n');
+const es = require('../locales/es.json');
+
+test('normalizeLocale canonicalizes language tags and rejects anything else', () => {
+  assert.equal(normalizeLocale('pt_br'), 'pt-BR');
+  assert.equal(normalizeLocale(' ES '), 'es');
+  assert.equal(normalizeLocale('not a locale'), null);
+  assert.equal(normalizeLocale(42), null);
+});
+
+test('regional locales fall back to their language', () => {
+  assert.equal(resolveLocale('pt-BR'), 'pt');
+  assert.equal(resolveLocale('es_MX'), 'es');
+  assert.equal(translate('pt-BR', 'daily_reminder.title'), translate('pt', 'daily_reminder.title'));
+});
+
+test('unknown, missing and malformed locales get English', () => {
+  assert.equal(resolveLocale('fr'), 'en');
+  assert.equal(resolveLocale(null), 'en');
+  assert.equal(resolveLocale('???'), 'en');
+  assert.equal(translate('fr', 'prayer_answered.body'), 'A prayer you joined has been answered.');
+});
+
+test('plural forms follow the count under the language rules', () => {
+  assert.equal(translate('en', 'prayer_joined.praying', { count: 1 }), '1 person is now praying with you!');
+  assert.equal(translate('en', 'prayer_joined.praying', { count: 3 }), '3 people are now praying with you!');
+  assert.equal(translate('en', 'prayer_joined.praying', { count: 0 }), '0 people are now praying with you!');
+  assert.equal(translate('pt', 'prayer_joined.praying', { count: 1 }), '1 pessoa está orando com você!');
+  assert.equal(translate('pt', 'prayer_joined.praying', { count: 2 }), '2 pessoas estão orando com você!');
+});
+
+test('placeholders are filled and unknown ones are left as written', () => {
+  assert.equal(translate('en', 'new_request.body', { name: 'Ana', text: 'healing' }), 'Ana is asking for prayer: healing');
+  assert.equal(translate('en', 'new_request.body', { name: 'Ana' }), 'Ana is asking for prayer: {text}');
+});
+
+test('a key missing from a catalog falls back to English', () => {
+  const spanish = es['test.body'];
+  delete es['test.body'];
+  try {
+    assert.equal(translate('es', 'test.body'), 'This is a test notification from Prayer Warriors app!');
+  } finally {
+    es['test.body'] = spanish;
+  }
+});
+
+test('a key missing everywhere comes back as the key with a warning', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  assert.equal(translate('es', 'no_such.key'), 'no_such.key');
+  assert.equal(warn.mock.callCount(), 1);
+});
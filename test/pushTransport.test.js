@@ -0,0 +1,125 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+const { buildMessage, buildWebPushMessage } = require('../lib/push');
+const { createFileTransport, createMemoryTransport, createPushTransport, routePush } = require('../lib/pushTransport');
+
+const APNS_TOKEN = 'a'.repeat(64);
+const FCM_TOKEN = 'dQw4w9WgXcQ:APA91bH-fcm-registration-token';
+
+// A fake transport that records what it was given and answers with respond(message)
+function recordingTransport(respond = () => ({ success: true })) {
+  const received = [];
+  return {
+    received,
+    sendEach: async messages => {
+      received.push(...messages);
+      return { responses: messages.map(respond) };
+    },
+  };
+}
+
+function nativeMessage(token, platform) {
+  return { ...buildMessage(token, 'Title', 'Body', { type: 'test' }), platform };
+}
+
+test('memory transport records every message and reports success', async () => {
+  const transport = createMemoryTransport();
+  const result = await transport.sendEach([nativeMessage(FCM_TOKEN, 'android'), nativeMessage(APNS_TOKEN, 'ios')]);
+
+  assert.deepEqual(result.responses, [{ success: true }, { success: true }]);
+  assert.deepEqual(transport.sent.map(message => message.token), [FCM_TOKEN, APNS_TOKEN]);
+  assert.ok(transport.sent.every(message => message.sent_at));
+});
+
+test('memory transport keeps only the most recent 500 messages', async () => {
+  const transport = createMemoryTransport();
+  const messages = Array.from({ length: 510 }, (_, index) => nativeMessage(`token-${index}`, 'android'));
+  await transport.sendEach(messages);
+
+  assert.equal(transport.sent.length, 500);
+  assert.equal(transport.sent[0].token, 'token-10');
+});
+
+test('file transport appends one JSON line per message', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'push-transport-'));
+  const file = path.join(directory, 'push.log');
+
+  try {
+    const transport = createFileTransport({ PUSH_TRANSPORT_FILE: file });
+    await transport.sendEach([nativeMessage(FCM_TOKEN, 'android')]);
+    await transport.sendEach([nativeMessage(APNS_TOKEN, 'ios')]);
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.token), [FCM_TOKEN, APNS_TOKEN]);
+    assert.equal(lines[0].notification.title, 'Title');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('createPushTransport picks memory and rejects unknown transports', () => {
+  assert.equal(createPushTransport({ PUSH_TRANSPORT: 'memory' }).name, 'memory');
+  assert.throws(() => createPushTransport({ PUSH_TRANSPORT: 'pigeon' }), /PUSH_TRANSPORT must be one of/);
+});
+
+test('only iOS devices with APNs device tokens go to APNs', async () => {
+  const fcm = recordingTransport();
+  const apns = recordingTransport();
+  const transport = routePush({ name: 'apns', fcm, apns });
+
+  await transport.sendEach([
+    nativeMessage(APNS_TOKEN, 'ios'),
+    nativeMessage(FCM_TOKEN, 'ios'),
+    nativeMessage(FCM_TOKEN, 'android'),
+    nativeMessage(APNS_TOKEN, 'android'),
+  ]);
+
+  assert.deepEqual(apns.received.map(message => message.token), [APNS_TOKEN]);
+  assert.deepEqual(fcm.received.map(message => message.token), [FCM_TOKEN, FCM_TOKEN, APNS_TOKEN]);
+});
+
+test('FCM never sees the routing platform field', async () => {
+  const fcm = recordingTransport();
+  await routePush({ name: 'fcm', fcm }).sendEach([nativeMessage(APNS_TOKEN, 'ios')]);
+
+  assert.equal(fcm.received.length, 1);
+  assert.equal('platform' in fcm.received[0], false);
+});
+
+test('responses come back in message order across routes', async () => {
+  const fcm = recordingTransport(() => ({ success: false, error: { code: 'messaging/internal-error' } }));
+  const apns = recordingTransport();
+  const webPush = recordingTransport();
+  const transport = routePush({ name: 'apns', fcm, apns, webPush });
+
+  const result = await transport.sendEach([
+    nativeMessage(FCM_TOKEN, 'android'),
+    buildWebPushMessage('https://push.example.com/1', { p256dh: 'p', auth: 'a' }, 'Title', 'Body'),
+    nativeMessage(APNS_TOKEN, 'ios'),
+  ]);
+
+  assert.deepEqual(result.responses.map(response => response.success), [false, true, true]);
+  assert.equal(webPush.received.length, 1);
+});
+
+test('without FCM, messages that need it fail with no-push-transport', async () => {
+  const apns = recordingTransport();
+  const result = await routePush({ name: 'apns', apns }).sendEach([nativeMessage(FCM_TOKEN, 'android')]);
+
+  assert.deepEqual(result.responses, [{ success: false, error: { code: 'no-push-transport' } }]);
+});
+
+test('Web Push messages cut long data values to stay under the payload limit', () => {
+  const prayerText = 'p'.repeat(5000);
+  const message = buildWebPushMessage('https://push.example.com/1', { p256dh: 'p', auth: 'a' }, 'Title', 'Body', {
+    prayerText,
+    prayer_request_id: '42',
+  });
+
+  assert.equal(message.data.prayerText, `${'p'.repeat(200)}...`);
+  assert.equal(message.data.prayer_request_id, '42');
+  assert.ok(Buffer.byteLength(JSON.stringify({ ...message.notification, data: message.data })) < 4096);
+});
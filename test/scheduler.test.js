@@ -0,0 +1,59 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { cronMatches, parseCron } = require('../lib/scheduler');
+
+const at = iso => new Date(iso);
+
+test('parseCron expands wildcards, lists, ranges and steps', () => {
+  const cron = parseCron('*/15 9-17 1,15 * 1-5');
+
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.dayOfMonth], [1, 15]);
+  assert.equal(cron.month.size, 12);
+  assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(cron.dayOfMonthRestricted, true);
+  assert.equal(cron.dayOfWeekRestricted, true);
+});
+
+test('parseCron supports stepped ranges and a start with a step', () => {
+  assert.deepEqual([...parseCron('10-40/10 * * * *').minute], [10, 20, 30, 40]);
+  assert.deepEqual([...parseCron('50/5 * * * *').minute], [50, 55]);
+});
+
+test('parseCron treats 7 as Sunday', () => {
+  assert.ok(parseCron('0 0 * * 7').dayOfWeek.has(0));
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /must have 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid cron minute field/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /Invalid cron hour field/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid cron minute field/);
+  assert.throws(() => parseCron('* * 0 * *'), /Invalid cron day of month field/);
+  assert.throws(() => parseCron('* * * x *'), /Invalid cron month field/);
+});
+
+test('cronMatches compares in UTC', () => {
+  const cron = parseCron('30 3 * * *');
+
+  assert.equal(cronMatches(cron, at('2026-10-19T03:30:00Z')), true);
+  assert.equal(cronMatches(cron, at('2026-10-19T03:31:00Z')), false);
+  assert.equal(cronMatches(cron, at('2026-10-19T04:30:00Z')), false);
+});
+
+test('cronMatches accepts either day field when both are restricted', () => {
+  // The 1st of the month, or any Monday
+  const cron = parseCron('0 12 1 * 1');
+
+  assert.equal(cronMatches(cron, at('2026-10-01T12:00:00Z')), true); // Thursday the 1st
+  assert.equal(cronMatches(cron, at('2026-10-19T12:00:00Z')), true); // Monday the 19th
+  assert.equal(cronMatches(cron, at('2026-10-20T12:00:00Z')), false); // Tuesday the 20th
+});
+
+test('cronMatches needs both day fields when only one is restricted', () => {
+  const weekdays = parseCron('0 12 * * 1-5');
+
+  assert.equal(cronMatches(weekdays, at('2026-10-19T12:00:00Z')), true); // Monday
+  assert.equal(cronMatches(weekdays, at('2026-10-18T12:00:00Z')), false); // Sunday
+});